@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// =============================================================================
+// ACCESS RECEIPTS - signed proof that a payment bought a resource
+// =============================================================================
+//
+// A receipt is an HS256 JWT signed with RECEIPT_SECRET:
+//   { iss, sub: payer address, res: resource id, pid: paymentId,
+//     jti: "<paymentId>:<resource id>", iat, exp, max: uses allowed (0 = unlimited) }
+//
+// There is one receipt per payment and resource - issuing it again returns
+// the same token, so uses can't be reset by asking twice. Clients present it
+// as `Authorization: Bearer <receipt>` (or X-Access-Receipt).
+//
+// Issued receipts and every use are appended to the receipts file, so expiry
+// and usage limits survive restarts. Expired receipts are dropped when the
+// file is compacted at startup.
+
+const ISSUER = 'x402rocks';
+
+export class ReceiptError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} reason - invalid_receipt | wrong_resource | receipt_expired | receipt_used_up
+   * @param {number} status - 401 for a receipt that isn't ours, 402 for one that needs a new payment
+   */
+  constructor(message, reason, status) {
+    super(message);
+    this.name = 'ReceiptError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+export class AccessReceipts {
+  /**
+   * @param {object} options
+   * @param {string} options.secret - HMAC key for signing receipts
+   * @param {number} options.ttlSeconds - How long a receipt stays valid
+   * @param {number} options.maxUses - Redemptions per receipt (0 = unlimited)
+   * @param {string} options.filePath - Append-only store of issued receipts and uses
+   */
+  constructor({ secret, ttlSeconds, maxUses, filePath }) {
+    this.secret = secret;
+    this.ttlSeconds = ttlSeconds;
+    this.maxUses = maxUses;
+    this.filePath = path.resolve(filePath);
+    this.receipts = new Map(); // jti -> { claims, uses }
+
+    this.load();
+    this.compact();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue; // Torn line from a crash mid-write
+      }
+
+      if (entry.type === 'issued') {
+        this.receipts.set(entry.claims.jti, { claims: entry.claims, uses: entry.uses || 0 });
+      } else if (entry.type === 'use' && this.receipts.has(entry.jti)) {
+        this.receipts.get(entry.jti).uses++;
+      }
+    }
+  }
+
+  /**
+   * Rewrite the file with one line per live receipt, then open it for appending
+   */
+  compact() {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [jti, receipt] of this.receipts) {
+      if (receipt.claims.exp <= now) this.receipts.delete(jti);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    const lines = [...this.receipts.values()].map(({ claims, uses }) =>
+      JSON.stringify({ t: Date.now(), type: 'issued', claims, uses })
+    );
+    fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.fd = fs.openSync(this.filePath, 'a');
+  }
+
+  append(entry) {
+    fs.writeSync(this.fd, JSON.stringify({ t: Date.now(), ...entry }) + '\n');
+    fs.fsyncSync(this.fd);
+  }
+
+  /**
+   * Receipt for a payment's resource - created on first call, the same one after
+   * @returns {{ token: string, resource: string, expiresAt: number, maxUses: number, uses: number }}
+   */
+  issue({ paymentId, resource, payer }) {
+    const jti = `${paymentId}:${resource}`;
+    let receipt = this.receipts.get(jti);
+
+    if (!receipt) {
+      const iat = Math.floor(Date.now() / 1000);
+      const claims = {
+        iss: ISSUER,
+        sub: payer.toLowerCase(),
+        res: resource,
+        pid: paymentId,
+        jti,
+        iat,
+        exp: iat + this.ttlSeconds,
+        max: this.maxUses
+      };
+
+      receipt = { claims, uses: 0 };
+      this.receipts.set(jti, receipt);
+      this.append({ type: 'issued', claims });
+    }
+
+    return this.describe(receipt);
+  }
+
+  /**
+   * Check a presented receipt for `resource` and count one use
+   * @returns {{ claims: object, uses: number, remaining: number|null }}
+   */
+  redeem(token, resource) {
+    const claims = this.verify(token);
+    const receipt = this.receipts.get(claims.jti);
+
+    if (claims.res !== resource) {
+      throw new ReceiptError(`Receipt is for ${claims.res}, not ${resource}`, 'wrong_resource', 401);
+    }
+    if (!receipt || claims.exp <= Math.floor(Date.now() / 1000)) {
+      throw new ReceiptError('Receipt has expired - pay again for a new one', 'receipt_expired', 402);
+    }
+    if (claims.max > 0 && receipt.uses >= claims.max) {
+      throw new ReceiptError(`Receipt has been used ${receipt.uses} times, its limit`, 'receipt_used_up', 402);
+    }
+
+    receipt.uses++;
+    this.append({ type: 'use', jti: claims.jti });
+
+    return {
+      claims,
+      uses: receipt.uses,
+      remaining: claims.max > 0 ? claims.max - receipt.uses : null
+    };
+  }
+
+  /**
+   * Decode a token and check its signature and issuer
+   */
+  verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      throw new ReceiptError('Receipt is not a signed token', 'invalid_receipt', 401);
+    }
+
+    const expected = Buffer.from(this.sign(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new ReceiptError('Receipt signature is invalid', 'invalid_receipt', 401);
+    }
+
+    const claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    if (claims.iss !== ISSUER) {
+      throw new ReceiptError('Receipt was not issued by this server', 'invalid_receipt', 401);
+    }
+    return claims;
+  }
+
+  describe({ claims, uses }) {
+    return {
+      token: this.encode(claims),
+      resource: claims.res,
+      expiresAt: claims.exp * 1000,
+      maxUses: claims.max,
+      uses
+    };
+  }
+
+  encode(claims) {
+    const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${header}.${payload}.${this.sign(`${header}.${payload}`)}`;
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+}
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// =============================================================================
+// AUDIT LOG - append-only JSONL record of operator actions
+// =============================================================================
+//
+// One line per entry, never rewritten:
+//   { "t": <ms>, "actor": "...", "action": "...", ...details }
+//
+// The same format backs the payment state-transition trail, screening
+// decisions and webhook deliveries.
+//
+// The file is rotated once it reaches `maxBytes`: file → file.1 → file.2 ...,
+// keeping `keepFiles` old ones. The last `tailSize` entries are kept in memory
+// for recent(); find() streams through every file still on disk, so nothing
+// reads a whole log into memory.
+
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+export class AuditLog {
+  /**
+   * @param {string} filePath
+   * @param {object} [options]
+   * @param {number} [options.maxBytes] - Rotate once the file reaches this size (0 = never)
+   * @param {number} [options.keepFiles] - Rotated files kept besides the live one
+   * @param {number} [options.tailSize] - Latest entries kept in memory for recent()
+   */
+  constructor(filePath, { maxBytes = 50 * 1024 * 1024, keepFiles = 5, tailSize = 1000 } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.maxBytes = maxBytes;
+    this.keepFiles = keepFiles;
+    this.tailSize = tailSize;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.tail = this.loadTail();
+    this.open();
+  }
+
+  open() {
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  record(entry) {
+    const record = { t: Date.now(), ...entry };
+    const line = JSON.stringify(record) + '\n';
+
+    if (this.maxBytes > 0 && this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+      this.rotate();
+    }
+
+    fs.writeSync(this.fd, line);
+    fs.fsyncSync(this.fd);
+    this.size += Buffer.byteLength(line);
+
+    this.tail.push(record);
+    if (this.tail.length > this.tailSize) this.tail.shift();
+  }
+
+  /**
+   * Close the live file and shift it (and the older ones) down a slot
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+
+    fs.rmSync(`${this.filePath}.${this.keepFiles}`, { force: true });
+    for (let i = this.keepFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${this.filePath}.${i}`)) {
+        fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+      }
+    }
+    if (this.keepFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.rmSync(this.filePath, { force: true });
+    }
+
+    this.open();
+  }
+
+  /**
+   * Log files on disk, oldest first
+   */
+  files() {
+    const rotated = [];
+    for (let i = this.keepFiles; i >= 1; i--) {
+      if (fs.existsSync(`${this.filePath}.${i}`)) rotated.push(`${this.filePath}.${i}`);
+    }
+    return fs.existsSync(this.filePath) ? [...rotated, this.filePath] : rotated;
+  }
+
+  /**
+   * Most recent entries, newest first - at most `tailSize` of them
+   */
+  recent(limit = 100) {
+    return this.tail.slice(-limit).reverse();
+  }
+
+  /**
+   * Every entry on disk, oldest first, read a line at a time
+   */
+  async *entries() {
+    for (const file of this.files()) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        const entry = parseLine(line);
+        if (entry) yield entry;
+      }
+    }
+  }
+
+  /**
+   * Entries `predicate` accepts, oldest first - the latest `limit` of them
+   */
+  async find(predicate, limit = 1000) {
+    const entries = [];
+
+    for await (const entry of this.entries()) {
+      if (!predicate(entry)) continue;
+      entries.push(entry);
+      if (entries.length > limit) entries.shift();
+    }
+
+    return entries;
+  }
+
+  /**
+   * The last `tailSize` entries, read backwards from the end of the newest
+   * files so startup doesn't depend on how long the log is
+   */
+  loadTail() {
+    const entries = [];
+
+    for (const file of this.files().reverse()) {
+      const lines = readLastLines(file, this.tailSize - entries.length);
+      entries.unshift(...lines.map(parseLine).filter(Boolean));
+      if (entries.length >= this.tailSize) break;
+    }
+
+    return entries.slice(-this.tailSize);
+  }
+}
+
+function parseLine(line) {
+  if (!line.trim()) return null;
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null; // Torn line from a crash mid-write
+  }
+}
+
+/**
+ * Up to `count` complete lines from the end of a file, in file order
+ */
+function readLastLines(filePath, count) {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    let position = fs.fstatSync(fd).size;
+    const chunks = [];
+    let newlines = 0;
+
+    while (position > 0 && newlines <= count) {
+      const length = Math.min(TAIL_CHUNK_BYTES, position);
+      const chunk = Buffer.alloc(length);
+
+      position -= length;
+      fs.readSync(fd, chunk, 0, length, position);
+      chunks.unshift(chunk);
+      for (const byte of chunk) {
+        if (byte === 0x0a) newlines++;
+      }
+    }
+
+    const lines = Buffer.concat(chunks).toString('utf8').split('\n');
+    // Without reaching the start of the file the first line may be partial
+    if (position > 0) lines.shift();
+    return lines.filter((line) => line.trim()).slice(-count);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
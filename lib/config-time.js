@@ -0,0 +1,22 @@
+// =============================================================================
+// CONFIG TIMES - start/end times in the JSON config files
+// =============================================================================
+//
+// Mint phases (lib/mint-phases.js) and price discounts (lib/pricing.js) both
+// take times as ISO dates ("2025-06-01T16:00:00Z") or epoch milliseconds.
+
+/**
+ * @param {string|number|null|undefined} value - ISO date or epoch ms; unset = null
+ * @param {string} label - What the value is, for the error ('Mint phase "public" start')
+ * @param {typeof Error} ConfigError - Error class the caller's config errors use
+ * @returns {number|null} Epoch ms, or null when unset
+ */
+export function parseTime(value, label, ConfigError) {
+  if (value === undefined || value === null) return null;
+
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new ConfigError(`${label} must be an ISO date, got "${value}"`);
+  }
+  return time;
+}
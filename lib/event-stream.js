@@ -0,0 +1,110 @@
+// =============================================================================
+// EVENT STREAM - Server-Sent Events fan-out for live status updates
+// =============================================================================
+//
+// Each client is an open `text/event-stream` response plus a filter. Events
+// are written as:
+//   event: <name>
+//   data: <json>
+//
+// A comment line goes out every `heartbeatMs` so proxies don't close idle
+// connections.
+//
+// Streams stay open, so they're capped rather than rate limited: at most
+// `maxClients` in all and `maxPerIp` from one address. open() throws
+// EventStreamFullError past either (0 turns a cap off).
+
+export class EventStreamFullError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status - 429 for the per-IP cap, 503 for the total
+   * @param {number} retryAfter - Seconds before trying again is worthwhile
+   */
+  constructor(message, status, retryAfter) {
+    super(message);
+    this.name = 'EventStreamFullError';
+    this.status = status;
+    this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  }
+}
+
+export class EventStream {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.heartbeatMs] - Keep-alive comment interval
+   * @param {number} [options.retryMs] - Reconnect delay sent to clients
+   * @param {number} [options.maxClients] - Open streams in all (0 = no cap)
+   * @param {number} [options.maxPerIp] - Open streams per client IP (0 = no cap)
+   */
+  constructor({ heartbeatMs = 25000, retryMs = 5000, maxClients = 1000, maxPerIp = 10 } = {}) {
+    this.clients = new Set();
+    this.perIp = new Map(); // ip -> open streams
+    this.retryMs = retryMs;
+    this.maxClients = maxClients;
+    this.maxPerIp = maxPerIp;
+
+    setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': keep-alive\n\n');
+      }
+    }, heartbeatMs).unref();
+  }
+
+  /**
+   * Turn `res` into an event stream. `filter` is kept with the client so
+   * broadcast() predicates can target it. Returns the client, or throws
+   * EventStreamFullError - before anything is written - when a cap is reached.
+   */
+  open(req, res, filter = {}) {
+    const ip = req.ip;
+    const fromIp = this.perIp.get(ip) || 0;
+
+    if (this.maxPerIp > 0 && fromIp >= this.maxPerIp) {
+      throw new EventStreamFullError(`At most ${this.maxPerIp} event streams per client`, 429, this.retryMs / 1000);
+    }
+    if (this.maxClients > 0 && this.clients.size >= this.maxClients) {
+      throw new EventStreamFullError('Too many open event streams', 503, this.retryMs / 1000);
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const client = { res, filter };
+    this.clients.add(client);
+    this.perIp.set(ip, fromIp + 1);
+
+    req.on('close', () => {
+      if (!this.clients.delete(client)) return;
+      const open = this.perIp.get(ip) - 1;
+      if (open > 0) this.perIp.set(ip, open);
+      else this.perIp.delete(ip);
+    });
+
+    return client;
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send to every client, or only those whose filter passes `predicate`
+   */
+  broadcast(event, data, predicate = () => true) {
+    for (const client of this.clients) {
+      if (predicate(client.filter)) {
+        this.send(client, event, data);
+      }
+    }
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+}
@@ -0,0 +1,108 @@
+// =============================================================================
+// LOGGER - leveled, structured logs
+// =============================================================================
+//
+// One JSON object per line on stdout (warn and error on stderr):
+//   {"time":"2026-11-01T16:00:00.000Z","level":"info","msg":"Payment detected",
+//    "component":"monitor","paymentId":"...","txHash":"0x...","amount":"1.000137"}
+//
+// Modules log through a child that binds their fields - `component`, and for
+// anything about a payment its `paymentId` and `txHash` - so every line about
+// a payment can be found by either. LOG_FORMAT=pretty prints the same fields
+// on one readable line for local runs.
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_FORMATS = ['json', 'pretty'];
+
+export class Logger {
+  /**
+   * @param {{ level: string, format: string }} config - Shared by a logger and all its children
+   * @param {object} [bindings] - Fields added to every line
+   */
+  constructor(config, bindings = {}) {
+    this.config = config;
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger that adds `bindings` to every line (undefined values are left out)
+   */
+  child(bindings) {
+    return new Logger(this.config, { ...this.bindings, ...bindings });
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.config.level]) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.bindings, ...fields };
+    const line = this.config.format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry, serialize);
+    (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+  }
+}
+
+/**
+ * Root logger. Starts at info/json; the server applies LOG_LEVEL and
+ * LOG_FORMAT once its environment is loaded.
+ */
+export const logger = new Logger({ level: 'info', format: 'json' });
+
+/**
+ * Set the level and format for the root logger and every child of it
+ */
+export function configureLogger({ level = 'info', format = 'json' } = {}) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`LOG_LEVEL must be one of ${Object.keys(LOG_LEVELS).join(', ')}, got "${level}"`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`LOG_FORMAT must be one of ${LOG_FORMATS.join(', ')}, got "${format}"`);
+  }
+
+  logger.config.level = level;
+  logger.config.format = format;
+}
+
+/**
+ * JSON.stringify replacer: errors keep their message, code and stack;
+ * bigints become strings
+ */
+function serialize(key, value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      reason: typeof value.reason === 'string' ? value.reason : undefined,
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+function prettyLine({ time, level, msg, ...fields }) {
+  const pairs = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (value instanceof Error) return `${key}="${value.message}"`;
+      if (typeof value !== 'string') return `${key}=${JSON.stringify(value, serialize)}`;
+      return `${key}=${/[\s"]/.test(value) ? JSON.stringify(value) : value}`;
+    });
+
+  return [time.slice(11, 23), level.toUpperCase().padEnd(5), msg, ...pairs].join(' ');
+}
@@ -0,0 +1,204 @@
+import { logger } from './logger.js';
+
+// =============================================================================
+// METRICS - Prometheus counters, gauges and histograms for GET /metrics
+// =============================================================================
+//
+// A minimal registry that renders the Prometheus text exposition format
+// (version 0.0.4). Counters and histograms are updated where things happen;
+// a gauge can instead take a `collect` callback that reads current state at
+// scrape time (queue depth, block cursors). Label values must come from small
+// fixed sets - network keys, statuses, RPC methods - never ids or addresses.
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const log = logger.child({ component: 'metrics' });
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key -> value
+  }
+
+  key(labels = {}) {
+    return this.labelNames.map((label) => String(labels[label] ?? '')).join('\u0000');
+  }
+
+  labelsOf(key) {
+    const values = key.split('\u0000');
+    return Object.fromEntries(this.labelNames.map((label, index) => [label, values[index]]));
+  }
+
+  lines() {
+    return [...this.values.entries()].map(([key, value]) => sample(this.name, this.labelsOf(key), value));
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, amount = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {function} [collect] - Called at scrape time with the gauge; sets its values
+   */
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start a timer; call the returned function to observe the elapsed seconds
+   */
+  startTimer(labels) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  lines() {
+    const lines = [];
+    for (const [key, entry] of this.values) {
+      const labels = this.labelsOf(key);
+      this.buckets.forEach((bound, index) => {
+        lines.push(sample(`${this.name}_bucket`, { ...labels, le: String(bound) }, entry.counts[index]));
+      });
+      lines.push(sample(`${this.name}_bucket`, { ...labels, le: '+Inf' }, entry.count));
+      lines.push(sample(`${this.name}_sum`, labels, entry.sum));
+      lines.push(sample(`${this.name}_count`, labels, entry.count));
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  /**
+   * @param {string} prefix - Prepended to every metric name ("x402rocks_")
+   */
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this.add(new Counter(this.prefix + name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.add(new Gauge(this.prefix + name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.add(new Histogram(this.prefix + name, help, labelNames, buckets));
+  }
+
+  add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Every metric in the text exposition format. A failing collect callback
+   * leaves that gauge out of the scrape instead of failing it.
+   */
+  async render() {
+    const blocks = [];
+
+    for (const metric of this.metrics) {
+      if (metric.collect) {
+        try {
+          await metric.collect(metric);
+        } catch (error) {
+          log.error('Error collecting metric', { metric: metric.name, error: error.message });
+          continue;
+        }
+      }
+
+      blocks.push([
+        `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+      ].join('\n'));
+    }
+
+    return blocks.join('\n') + '\n';
+  }
+}
+
+/**
+ * Time every JSON-RPC call an ethers provider makes. All of them - reads,
+ * log queries, tx broadcasts - go through `send`.
+ * @param {ethers.JsonRpcProvider} provider
+ * @param {object} labels - Fixed labels for this provider ({ network })
+ * @param {{ requests: Histogram, errors: Counter }} metrics
+ */
+export function instrumentProvider(provider, labels, { requests, errors }) {
+  const send = provider.send.bind(provider);
+
+  provider.send = async (method, params) => {
+    const done = requests.startTimer({ ...labels, method });
+    try {
+      return await send(method, params);
+    } catch (error) {
+      errors.inc({ ...labels, method, code: error.code || 'UNKNOWN' });
+      throw error;
+    } finally {
+      done();
+    }
+  };
+}
+
+function sample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([label, labelValue]) =>
+    `${label}="${String(labelValue).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
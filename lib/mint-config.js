@@ -0,0 +1,154 @@
+import { ethers } from 'ethers';
+import { logger } from './logger.js';
+
+// =============================================================================
+// MINT CONFIG - price, tokens per mint and supply for the deployed contract
+// =============================================================================
+//
+// Read once at startup from the token contract's public constants
+// (USDC_PRICE, TOKENS_PER_MINT, MAX_MINTS, symbol, decimals). Any of them can
+// be overridden from the environment:
+//   MINT_PRICE_USDC=1.50   TOKENS_PER_MINT=50000   MAX_MINTS=40000
+//
+// Overrides are validated; one that disagrees with the contract is logged,
+// since TOKENS_PER_MINT and MAX_MINTS are enforced on-chain regardless.
+// Without a contract (not deployed yet) the original deployment's values are
+// used so the dashboard still renders.
+
+const log = logger.child({ component: 'mint-config' });
+
+const DEFAULTS = {
+  price: 1000000n, // 1 USDC (6 decimals)
+  tokensPerMint: 50000,
+  maxMints: 40000,
+  tokenSymbol: 'X402',
+  tokenDecimals: 18
+};
+
+// Without these we'd misprice or oversell, so a deployed contract must provide
+// them (or the environment must)
+const REQUIRED = ['price', 'tokensPerMint', 'maxMints'];
+
+export class MintConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MintConfigError';
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {ethers.Contract|null} options.contract - Token contract (null = not deployed)
+ * @param {object} options.env - Source of overrides (process.env)
+ * @param {bigint} options.minPrice - Lowest acceptable price in micro-USDC
+ * @param {number} options.timeoutMs - How long to wait for the contract reads
+ * @returns {Promise<object>} Frozen { price, priceFormatted, tokensPerMint, maxMints, tokenSymbol, tokenDecimals, sources }
+ */
+export async function loadMintConfig({ contract, env, minPrice = 1n, timeoutMs = 15000 }) {
+  const overrides = parseOverrides(env, minPrice);
+  const onChain = contract ? await readContract(contract, timeoutMs) : {};
+  const config = { sources: {} };
+
+  for (const key of Object.keys(DEFAULTS)) {
+    const fromContract = onChain[key];
+    const fromEnv = overrides[key];
+
+    if (fromEnv !== undefined) {
+      if (fromContract !== undefined && fromContract !== fromEnv) {
+        log.warn('Mint config override differs from the contract', { key, override: fromEnv, contract: fromContract });
+      }
+      config[key] = fromEnv;
+      config.sources[key] = 'env';
+    } else if (fromContract !== undefined) {
+      config[key] = fromContract;
+      config.sources[key] = 'contract';
+    } else if (!contract || !REQUIRED.includes(key)) {
+      config[key] = DEFAULTS[key];
+      config.sources[key] = 'default';
+    } else {
+      throw new MintConfigError(`Could not read ${key} from the contract - set it in the environment`);
+    }
+  }
+
+  if (config.price < minPrice) {
+    throw new MintConfigError(`Mint price ${formatUsdc(config.price)} USDC is below the minimum of ${formatUsdc(minPrice)} USDC`);
+  }
+
+  config.priceFormatted = formatUsdc(config.price);
+  return Object.freeze(config);
+}
+
+/**
+ * Micro-USDC as a display string with at least two decimals ("1.00", "0.125")
+ */
+export function formatUsdc(amount) {
+  const [whole, fraction = ''] = ethers.formatUnits(amount, 6).split('.');
+  return `${whole}.${fraction.replace(/0+$/, '').padEnd(2, '0')}`;
+}
+
+function parseOverrides(env, minPrice) {
+  const overrides = {};
+
+  if (env.MINT_PRICE_USDC) {
+    let price;
+    try {
+      price = ethers.parseUnits(env.MINT_PRICE_USDC, 6);
+    } catch (error) {
+      throw new MintConfigError(`MINT_PRICE_USDC must be a USDC amount with at most 6 decimals, got "${env.MINT_PRICE_USDC}"`);
+    }
+    if (price < minPrice) {
+      throw new MintConfigError(`MINT_PRICE_USDC must be at least ${formatUsdc(minPrice)}`);
+    }
+    overrides.price = price;
+  }
+
+  for (const [name, key] of [['TOKENS_PER_MINT', 'tokensPerMint'], ['MAX_MINTS', 'maxMints']]) {
+    if (!env[name]) continue;
+    if (!/^\d+$/.test(env[name]) || !Number.isSafeInteger(Number(env[name])) || Number(env[name]) === 0) {
+      throw new MintConfigError(`${name} must be a positive whole number, got "${env[name]}"`);
+    }
+    overrides[key] = Number(env[name]);
+  }
+
+  return overrides;
+}
+
+/**
+ * Each constant on its own - an older deployment may lack some of them
+ */
+async function readContract(contract, timeoutMs) {
+  const read = async (name) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs / 1000}s`)), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([contract[name](), timeout]);
+    } catch (error) {
+      log.warn('Could not read a mint constant from the contract', { constant: name, error: error.shortMessage || error.message });
+      return undefined;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const [price, tokensPerMint, maxMints, tokenSymbol, tokenDecimals] = await Promise.all([
+    read('USDC_PRICE'),
+    read('TOKENS_PER_MINT'),
+    read('MAX_MINTS'),
+    read('symbol'),
+    read('decimals')
+  ]);
+
+  const decimals = tokenDecimals !== undefined ? Number(tokenDecimals) : undefined;
+  return {
+    price,
+    tokensPerMint: tokensPerMint !== undefined
+      ? Number(ethers.formatUnits(tokensPerMint, decimals ?? DEFAULTS.tokenDecimals))
+      : undefined,
+    maxMints: maxMints !== undefined ? Number(maxMints) : undefined,
+    tokenSymbol,
+    tokenDecimals: decimals
+  };
+}
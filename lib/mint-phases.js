@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { parseTime } from './config-time.js';
+
+// =============================================================================
+// MINT PHASES - who may mint, when, and how much
+// =============================================================================
+//
+// MINT_PHASES_FILE is a JSON array of phases, checked in order:
+//   [
+//     { "name": "allowlist", "start": "2026-11-01T16:00:00Z", "end": "2026-11-02T16:00:00Z",
+//       "maxPerAddress": 2, "allowlist": { "merkleRoot": "0x..." } },
+//     { "name": "public", "start": "2026-11-02T16:00:00Z", "maxPerAddress": 10 }
+//   ]
+//
+// `start`/`end` are ISO dates or ms timestamps (either may be left out). The
+// current phase is the first one whose window contains now; outside every
+// window minting is closed. Without a file there is one open-ended public
+// phase capped at MAX_MINTS_PER_ADDRESS.
+//
+// `maxPerAddress` is the most mints an address may hold by the end of the
+// phase - the contract's mintsPerAddress plus mints paid for but not yet
+// sent (0 = no cap).
+//
+// An allowlist is either { "file": "allowlist.txt" } - one address per line,
+// # comments, relative to the phases file - or { "merkleRoot": "0x..." }. A
+// Merkle leaf is keccak256(address) (abi.encodePacked, 20 bytes) and pairs are
+// hashed sorted, as in OpenZeppelin's MerkleProof; the minter sends its proof
+// with /api/request-mint.
+
+export class MintPhaseConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MintPhaseConfigError';
+  }
+}
+
+export class EligibilityError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} reason - minting_closed | not_allowlisted | cap_reached
+   * @param {object} [details] - Phase and cap figures for the response
+   */
+  constructor(message, reason, details = {}) {
+    super(message);
+    this.name = 'EligibilityError';
+    this.reason = reason;
+    this.status = 403;
+    this.details = details;
+  }
+}
+
+export class MintPhases {
+  /**
+   * @param {object} options
+   * @param {string} [options.filePath] - Phase definitions (unset = one public phase)
+   * @param {number} options.maxPerAddress - Cap for the default public phase (0 = none)
+   */
+  constructor({ filePath, maxPerAddress }) {
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.phases = this.filePath
+      ? this.load()
+      : [{ name: 'public', start: null, end: null, maxPerAddress, allowlist: null }];
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new MintPhaseConfigError(`Can't read MINT_PHASES_FILE ${this.filePath}: ${error.message}`);
+    }
+    if (!Array.isArray(raw) || raw.length === 0) {
+      throw new MintPhaseConfigError('MINT_PHASES_FILE must hold a non-empty array of phases');
+    }
+
+    const names = new Set();
+    return raw.map((entry, index) => {
+      const name = entry.name || `phase-${index + 1}`;
+      if (names.has(name)) {
+        throw new MintPhaseConfigError(`Two mint phases are named "${name}"`);
+      }
+      names.add(name);
+
+      const start = parseTime(entry.start, `Mint phase "${name}" start`, MintPhaseConfigError);
+      const end = parseTime(entry.end, `Mint phase "${name}" end`, MintPhaseConfigError);
+      if (start !== null && end !== null && end <= start) {
+        throw new MintPhaseConfigError(`Mint phase "${name}" ends before it starts`);
+      }
+
+      const maxPerAddress = entry.maxPerAddress ?? 0;
+      if (!Number.isInteger(maxPerAddress) || maxPerAddress < 0) {
+        throw new MintPhaseConfigError(`Mint phase "${name}" needs a whole maxPerAddress (0 = no cap)`);
+      }
+
+      return { name, start, end, maxPerAddress, allowlist: this.loadAllowlist(name, entry.allowlist) };
+    });
+  }
+
+  loadAllowlist(name, allowlist) {
+    if (!allowlist) return null;
+
+    if (allowlist.merkleRoot) {
+      if (!ethers.isHexString(allowlist.merkleRoot, 32)) {
+        throw new MintPhaseConfigError(`Mint phase "${name}" merkleRoot must be a 32-byte hex string`);
+      }
+      return { type: 'merkle', root: allowlist.merkleRoot.toLowerCase() };
+    }
+
+    if (allowlist.file) {
+      const filePath = path.resolve(path.dirname(this.filePath), allowlist.file);
+      const addresses = new Set();
+      let lines;
+      try {
+        lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      } catch (error) {
+        throw new MintPhaseConfigError(`Can't read allowlist for mint phase "${name}": ${error.message}`);
+      }
+
+      for (const line of lines) {
+        const address = line.replace(/#.*/, '').trim();
+        if (!address) continue;
+        if (!ethers.isAddress(address)) {
+          throw new MintPhaseConfigError(`Allowlist for mint phase "${name}" has an invalid address: ${address}`);
+        }
+        addresses.add(address.toLowerCase());
+      }
+      return { type: 'list', addresses, file: filePath };
+    }
+
+    throw new MintPhaseConfigError(`Mint phase "${name}" allowlist needs a "file" or a "merkleRoot"`);
+  }
+
+  /**
+   * Phase open at `now`, or null when minting is closed
+   */
+  current(now = Date.now()) {
+    return this.phases.find((phase) =>
+      (phase.start === null || now >= phase.start) && (phase.end === null || now < phase.end)
+    ) || null;
+  }
+
+  /**
+   * First phase that hasn't started yet
+   */
+  next(now = Date.now()) {
+    return this.phases
+      .filter((phase) => phase.start !== null && phase.start > now)
+      .sort((a, b) => a.start - b.start)[0] || null;
+  }
+
+  /**
+   * Whether `address` is on the phase's allowlist (always true without one).
+   * A Merkle allowlist needs the address's proof.
+   */
+  isAllowed(phase, address, proof) {
+    if (!phase.allowlist) return true;
+
+    if (phase.allowlist.type === 'list') {
+      return phase.allowlist.addresses.has(address.toLowerCase());
+    }
+    return Array.isArray(proof) && verifyMerkleProof(phase.allowlist.root, address, proof);
+  }
+
+  /**
+   * Phases for the API
+   */
+  list(now = Date.now()) {
+    const current = this.current(now);
+    return this.phases.map((phase) => ({
+      name: phase.name,
+      start: phase.start,
+      end: phase.end,
+      maxPerAddress: phase.maxPerAddress,
+      allowlist: phase.allowlist ? phase.allowlist.type : null,
+      merkleRoot: phase.allowlist?.type === 'merkle' ? phase.allowlist.root : undefined,
+      current: phase === current
+    }));
+  }
+}
+
+/**
+ * Check an OpenZeppelin-style (sorted pair) Merkle proof for an address leaf
+ */
+export function verifyMerkleProof(root, address, proof) {
+  try {
+    let hash = ethers.solidityPackedKeccak256(['address'], [address]);
+    for (const sibling of proof) {
+      const [a, b] = [hash, ethers.hexlify(sibling)].sort((x, y) => (BigInt(x) < BigInt(y) ? -1 : 1));
+      hash = ethers.solidityPackedKeccak256(['bytes32', 'bytes32'], [a, b]);
+    }
+    return hash.toLowerCase() === root;
+  } catch (error) {
+    return false; // Malformed proof entries
+  }
+}
@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+
+// =============================================================================
+// NETWORKS - chains the server can take USDC payments on
+// =============================================================================
+//
+// NETWORK picks the active network: where the token contract lives, where
+// mints and x402 settlements are sent, and which chain the dashboard asks the
+// wallet to switch to. WATCH_NETWORKS lists every network whose USDC transfers
+// to the payment address count as payments (the active one is always watched).
+//
+// Any entry can be adjusted with its env prefix, e.g. for base-sepolia:
+//   BASE_SEPOLIA_RPC_URL, BASE_SEPOLIA_USDC_ADDRESS,
+//   BASE_SEPOLIA_CONFIRMATIONS, BASE_SEPOLIA_CHAIN_ID, BASE_SEPOLIA_SCAN_START_BLOCK
+//
+// The older PAYMENT_CONFIRMATIONS and SCAN_START_BLOCK still apply to the
+// active network.
+//
+// Testnets and mainnets can't be watched together - free testnet USDC would
+// buy real tokens.
+
+export const NETWORKS = {
+  base: {
+    name: 'Base Mainnet',
+    chainId: 8453,
+    x402Network: 'base',
+    rpcUrl: 'https://mainnet.base.org',
+    explorer: 'https://basescan.org',
+    usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+    usdcName: 'USD Coin', // EIP-712 domain of the USDC contract, used by x402 signatures
+    usdcVersion: '2',
+    confirmations: 3,
+    testnet: false
+  },
+  'base-sepolia': {
+    name: 'Base Sepolia',
+    chainId: 84532,
+    x402Network: 'base-sepolia',
+    rpcUrl: 'https://sepolia.base.org',
+    explorer: 'https://sepolia.basescan.org',
+    usdcAddress: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    usdcName: 'USDC',
+    usdcVersion: '2',
+    confirmations: 1,
+    testnet: true
+  },
+  local: {
+    name: 'Local Dev Chain',
+    chainId: 31337,
+    x402Network: 'local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorer: null,
+    usdcAddress: null, // Deploy a mock USDC and set LOCAL_USDC_ADDRESS
+    usdcName: 'USD Coin',
+    usdcVersion: '2',
+    confirmations: 1,
+    testnet: true
+  }
+};
+
+// Records and cursors written before networks existed all came from Base
+export const LEGACY_NETWORK = 'base';
+
+export class NetworkConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NetworkConfigError';
+  }
+}
+
+/**
+ * Network a payment record was made on
+ */
+export function paymentNetwork(data) {
+  return data.network || LEGACY_NETWORK;
+}
+
+/**
+ * Block explorer link for a network, or undefined if it has no explorer
+ */
+export function explorerUrl(network, path) {
+  return network.explorer ? `${network.explorer}/${path}` : undefined;
+}
+
+/**
+ * Resolve NETWORK / WATCH_NETWORKS and the per-network overrides
+ * @param {object} env - process.env
+ * @returns {{ active: object, watched: object[] }} Networks with their `key`; `watched` starts with `active`
+ */
+export function resolveNetworks(env) {
+  const activeKey = (env.NETWORK || 'base').trim();
+  const watchKeys = (env.WATCH_NETWORKS || '').split(',').map((key) => key.trim()).filter(Boolean);
+  const keys = [activeKey, ...watchKeys.filter((key) => key !== activeKey)];
+
+  const watched = keys.map((key) => resolveNetwork(key, env, key === activeKey ? {
+    CONFIRMATIONS: env.PAYMENT_CONFIRMATIONS,
+    SCAN_START_BLOCK: env.SCAN_START_BLOCK
+  } : {}));
+
+  if (new Set(watched.map((network) => network.testnet)).size > 1) {
+    throw new NetworkConfigError(`Can't watch testnets and mainnets together (${keys.join(', ')})`);
+  }
+  if (new Set(watched.map((network) => network.chainId)).size !== watched.length) {
+    throw new NetworkConfigError(`Two watched networks share a chain ID (${keys.join(', ')})`);
+  }
+
+  return { active: watched[0], watched };
+}
+
+function resolveNetwork(key, env, fallbacks) {
+  const entry = NETWORKS[key];
+  if (!entry) {
+    throw new NetworkConfigError(`Unknown network "${key}" - expected one of: ${Object.keys(NETWORKS).join(', ')}`);
+  }
+
+  const prefix = key.toUpperCase().replace(/-/g, '_');
+  const value = (name) => env[`${prefix}_${name}`] || fallbacks[name] || undefined;
+  const network = {
+    key,
+    ...entry,
+    rpcUrl: value('RPC_URL') || entry.rpcUrl,
+    usdcAddress: value('USDC_ADDRESS') || entry.usdcAddress,
+    chainId: value('CHAIN_ID') ? wholeNumber(`${prefix}_CHAIN_ID`, value('CHAIN_ID')) : entry.chainId,
+    confirmations: value('CONFIRMATIONS') ? wholeNumber(`${prefix}_CONFIRMATIONS`, value('CONFIRMATIONS')) : entry.confirmations,
+    scanStartBlock: value('SCAN_START_BLOCK') ? wholeNumber(`${prefix}_SCAN_START_BLOCK`, value('SCAN_START_BLOCK'), 0) : null
+  };
+
+  if (!network.usdcAddress || !ethers.isAddress(network.usdcAddress)) {
+    throw new NetworkConfigError(`${network.name} needs a valid USDC address - set ${prefix}_USDC_ADDRESS`);
+  }
+
+  return network;
+}
+
+function wholeNumber(name, raw, min = 1) {
+  if (!/^\d+$/.test(raw) || Number(raw) < min) {
+    throw new NetworkConfigError(`${name} must be a whole number of at least ${min}, got "${raw}"`);
+  }
+  return Number(raw);
+}
+
@@ -0,0 +1,226 @@
+import { ethers } from 'ethers';
+import { formatUsdc } from './mint-config.js';
+import { X402_VERSION, validatePaymentRequirements } from './x402-requirements.js';
+
+// =============================================================================
+// PAID RESOURCES - the catalog of things a payment buys
+// =============================================================================
+//
+// Each paid endpoint registers once: path, price, description, input/output
+// schema and a fulfillment handler. The x402 `accepts` lists in 402 responses
+// and /api/info are built from the registry, and the server mounts a route for
+// every resource with a handler:
+//   no X-PAYMENT       → 402 with the resource's requirements
+//   X-PAYMENT settles  → fulfill() runs and its result is the response body
+//
+// Every payment also buys mints, so the price pays for tokens as well - a
+// resource without its own price costs the current mint price (lib/pricing.js),
+// and one with a price never costs less than a mint.
+// Resources marked `fulfillsDirectPayments` are also delivered - once minted -
+// for plain transfers that didn't name a resource.
+//
+// `accepts` only ever holds the USDC `exact` requirement - it's the one scheme
+// x402 clients can pay in-request. Other accepted assets are plain transfers
+// the monitor picks up, listed next to it under `transfers` (transfers()).
+//
+// This is the only place requirements are built. Each one is validated against
+// the x402 schema (lib/x402-requirements.js), and registering a resource builds
+// its requirements once so a bad price or schema fails at startup.
+
+export class PaidResources {
+  /**
+   * @param {object} options
+   * @param {object} options.network - Active network from lib/networks.js (where x402 settles)
+   * @param {string} options.payTo - Payment address
+   * @param {PaymentAssets} options.assets - Accepted assets and their quotes
+   * @param {function} options.mintPrice - (units) => micro-USDC per mint for the next `units` mints
+   */
+  constructor(options) {
+    Object.assign(this, options);
+    this.resources = new Map(); // id -> resource
+  }
+
+  /**
+   * @param {object} resource
+   * @param {string} resource.id - Stable name, used for deliveries ("signal")
+   * @param {string} resource.path - Route the resource is served on ("/signal")
+   * @param {string} [resource.method] - HTTP method, GET by default
+   * @param {bigint} [resource.price] - Micro-USDC (default: the mint price); other assets are quoted from it
+   * @param {string} [resource.asset] - Asset listed first in `transfers`, USDC by default
+   * @param {string|function} resource.description - Text, or () => text when it quotes the price
+   * @param {string} [resource.mimeType]
+   * @param {object} [resource.input] - x402 input schema, besides type and method
+   * @param {object} [resource.output] - x402 output schema
+   * @param {function} [resource.extra] - (baseUrl) => extra requirement fields
+   * @param {function} [resource.fulfill] - async ({ paymentId, payment }) => response body
+   * @param {boolean} [resource.fulfillsDirectPayments] - Also deliver for plain transfers
+   */
+  register(resource) {
+    const entry = {
+      method: 'GET',
+      asset: 'USDC',
+      mimeType: 'application/json',
+      input: {},
+      extra: () => ({}),
+      fulfillsDirectPayments: false,
+      ...resource
+    };
+
+    if (!entry.id || this.resources.has(entry.id)) {
+      throw new Error(`Paid resource needs a unique id (got "${entry.id}")`);
+    }
+    if (!entry.path?.startsWith('/') || this.byPath(entry.path)) {
+      throw new Error(`Paid resource ${entry.id} needs a unique path starting with /`);
+    }
+    if (entry.price !== undefined && typeof entry.price !== 'bigint') {
+      throw new Error(`Paid resource ${entry.id} needs its price in micro-USDC as a bigint`);
+    }
+    if (!this.assets.symbols.includes(entry.asset)) {
+      throw new Error(`Paid resource ${entry.id} is priced in ${entry.asset}, which is not accepted`);
+    }
+
+    // Throws RequirementsError for anything the protocol wouldn't accept. Without
+    // a payment address nothing is served yet, so there's nothing to check.
+    if (this.payTo) this.accepts(entry, 'http://localhost');
+
+    this.resources.set(entry.id, Object.freeze(entry));
+    return entry;
+  }
+
+  get(id) {
+    return this.resources.get(id) || null;
+  }
+
+  byPath(path) {
+    return [...this.resources.values()].find((resource) => resource.path === path) || null;
+  }
+
+  /**
+   * Current micro-USDC price of `units` of a resource. The payment mints
+   * tokens too, so each unit always covers at least one mint.
+   */
+  priceOf(resource, units = 1) {
+    const mintPrice = this.mintPrice(units);
+    const unitPrice = resource.price !== undefined && resource.price > mintPrice ? resource.price : mintPrice;
+    return unitPrice * BigInt(units);
+  }
+
+  describe(resource) {
+    return typeof resource.description === 'function' ? resource.description() : resource.description;
+  }
+
+  /**
+   * Resources delivered for payments that named none
+   */
+  directPaymentResources() {
+    return [...this.resources.values()].filter((resource) => resource.fulfillsDirectPayments);
+  }
+
+  /**
+   * x402 requirements for `units` of a resource: the USDC "exact"
+   * requirement, settled in-request
+   */
+  accepts(resource, baseUrl, units = 1) {
+    return [this.requirement(resource, baseUrl, units)];
+  }
+
+  requirement(resource, baseUrl, units = 1) {
+    return validatePaymentRequirements({
+      scheme: 'exact',
+      network: this.network.x402Network,
+      maxAmountRequired: this.priceOf(resource, units).toString(),
+      resource: `${baseUrl}${resource.path}`,
+      description: this.describe(resource),
+      mimeType: resource.mimeType,
+      payTo: this.payTo,
+      maxTimeoutSeconds: 1800,
+      asset: this.network.usdcAddress,
+      outputSchema: {
+        input: { type: 'http', method: resource.method, ...resource.input },
+        output: resource.output
+      },
+      extra: {
+        name: this.network.usdcName,
+        version: this.network.usdcVersion,
+        ...resource.extra(baseUrl)
+      }
+    });
+  }
+
+  /**
+   * Other assets a resource can be paid in with a plain transfer to `payTo`,
+   * its own asset first. Not x402 requirements - no client can settle these
+   * in-request - so they never go in `accepts`. Unpriced assets are left out.
+   */
+  transfers(resource) {
+    const symbols = [resource.asset, ...this.assets.symbols.filter((symbol) => symbol !== resource.asset)];
+    const price = this.priceOf(resource);
+
+    return symbols
+      .filter((symbol) => symbol !== 'USDC' && this.assets.usdPrice(symbol) !== null)
+      .map((symbol) => {
+        const asset = this.assets.forNetwork(this.network.key).find((entry) => entry.symbol === symbol);
+        if (!asset) return null;
+
+        const quote = this.assets.quote(symbol, price);
+        return {
+          symbol,
+          network: this.network.key,
+          payTo: this.payTo,
+          asset: asset.native ? ethers.ZeroAddress : asset.address,
+          amount: quote.unitPrice.toString(),
+          decimals: asset.decimals,
+          native: Boolean(asset.native),
+          usdPrice: quote.usdPrice
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Every requirement of every resource, for 402s that don't name one
+   */
+  allAccepts(baseUrl) {
+    return [...this.resources.values()].flatMap((resource) => this.accepts(resource, baseUrl));
+  }
+
+  /**
+   * Discovery document: one item per resource with its requirements, in the
+   * shape of an x402 discovery (bazaar) listing
+   */
+  discovery(baseUrl) {
+    return {
+      x402Version: X402_VERSION,
+      items: [...this.resources.values()].map((resource) => ({
+        resource: `${baseUrl}${resource.path}`,
+        type: 'http',
+        method: resource.method,
+        x402Version: X402_VERSION,
+        description: this.describe(resource),
+        accepts: this.accepts(resource, baseUrl),
+        transfers: this.transfers(resource)
+      }))
+    };
+  }
+
+  /**
+   * Catalog summary for the API
+   */
+  list() {
+    return [...this.resources.values()].map((resource) => ({
+      id: resource.id,
+      path: resource.path,
+      method: resource.method,
+      price: formatUsdc(this.priceOf(resource)),
+      pricedAtMint: resource.price === undefined,
+      asset: resource.asset,
+      description: this.describe(resource),
+      deliveredAfterPayment: Boolean(resource.fulfill),
+      fulfillsDirectPayments: resource.fulfillsDirectPayments
+    }));
+  }
+
+  values() {
+    return this.resources.values();
+  }
+}
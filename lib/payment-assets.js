@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+
+// =============================================================================
+// PAYMENT ASSETS - what a mint can be paid with, and at what price
+// =============================================================================
+//
+// The mint price is set in USDC. Every other asset is converted with a USD
+// price from the price table:
+//   - stablecoins default to $1.00
+//   - anything else (ETH) is only offered once priced via ASSET_PRICES
+//     (e.g. "ETH:3150.25") or the admin API; admin prices persist to a file
+//
+// A request locks its quote - the asset amount per mint - until it expires.
+// Amounts are always in the asset's smallest unit (6 decimals for USDC, wei
+// for ETH). Token addresses come from the network registry for USDC and from
+// the table below (or <NETWORK>_<SYMBOL>_ADDRESS) for the rest.
+
+export const ASSETS = {
+  USDC: { name: 'USD Coin', decimals: 6, stable: true, eip3009: true },
+  USDbC: {
+    name: 'USD Base Coin (bridged USDC)',
+    decimals: 6,
+    stable: true,
+    addresses: { base: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA' }
+  },
+  DAI: {
+    name: 'Dai Stablecoin',
+    decimals: 18,
+    stable: true,
+    addresses: { base: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb' }
+  },
+  // Tagged in gwei: a micro-ETH tag could add up to ~$30 to the amount
+  ETH: { name: 'Ether', decimals: 18, native: true, tagUnit: 10n ** 9n }
+};
+
+// Records from before multi-asset payments were all USDC
+export const LEGACY_ASSET = 'USDC';
+
+const MICRO = 10n ** 6n;
+
+/**
+ * Asset a payment record was quoted and paid in
+ */
+export function paymentAsset(data) {
+  return data.asset || LEGACY_ASSET;
+}
+
+export class PaymentAssets {
+  /**
+   * @param {object} options
+   * @param {string[]} options.accepted - Asset symbols to accept (USDC is always accepted)
+   * @param {object[]} options.networks - Watched networks from lib/networks.js
+   * @param {string} options.prices - Static price table from the environment ("ETH:3150,DAI:1")
+   * @param {string} options.pricesFile - Prices set through the admin API
+   * @param {object} options.env - For <NETWORK>_<SYMBOL>_ADDRESS overrides
+   */
+  constructor({ accepted, networks, prices = '', pricesFile, env = {} }) {
+    this.symbols = ['USDC', ...accepted.filter((symbol) => symbol !== 'USDC')];
+    this.pricesFile = path.resolve(pricesFile);
+
+    for (const symbol of this.symbols) {
+      if (!ASSETS[symbol]) {
+        throw new Error(`Unknown payment asset "${symbol}" - expected one of: ${Object.keys(ASSETS).join(', ')}`);
+      }
+    }
+
+    // network key -> symbol -> token address (null for the native coin)
+    this.addresses = new Map();
+    for (const network of networks) {
+      const prefix = network.key.toUpperCase().replace(/-/g, '_');
+      const byAsset = new Map();
+
+      for (const symbol of this.symbols) {
+        const asset = ASSETS[symbol];
+        const address = symbol === 'USDC'
+          ? network.usdcAddress
+          : env[`${prefix}_${symbol.toUpperCase()}_ADDRESS`] || asset.addresses?.[network.key];
+
+        if (asset.native) {
+          byAsset.set(symbol, null);
+        } else if (address) {
+          if (!ethers.isAddress(address)) {
+            throw new Error(`${prefix}_${symbol.toUpperCase()}_ADDRESS is not a valid address`);
+          }
+          byAsset.set(symbol, address.toLowerCase());
+        }
+      }
+
+      this.addresses.set(network.key, byAsset);
+    }
+
+    for (const symbol of this.symbols) {
+      if (![...this.addresses.values()].some((byAsset) => byAsset.has(symbol))) {
+        throw new Error(`${symbol} has no token address on any watched network - set <NETWORK>_${symbol.toUpperCase()}_ADDRESS`);
+      }
+    }
+
+    this.staticPrices = parsePriceTable(prices);
+    this.adminPrices = this.loadPrices();
+  }
+
+  loadPrices() {
+    if (!fs.existsSync(this.pricesFile)) return {};
+    return JSON.parse(fs.readFileSync(this.pricesFile, 'utf8'));
+  }
+
+  savePrices() {
+    fs.mkdirSync(path.dirname(this.pricesFile), { recursive: true });
+    const tmpPath = `${this.pricesFile}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.adminPrices, null, 2));
+    fs.renameSync(tmpPath, this.pricesFile);
+  }
+
+  /**
+   * USD price of one whole token in micro-USD, or null if it has none
+   */
+  usdPrice(symbol) {
+    if (symbol === 'USDC') return MICRO;
+    if (this.adminPrices[symbol]) return ethers.parseUnits(this.adminPrices[symbol].usd, 6);
+    if (this.staticPrices[symbol] !== undefined) return this.staticPrices[symbol];
+    return ASSETS[symbol].stable ? MICRO : null;
+  }
+
+  /**
+   * Set an asset's USD price (admin). USDC is the unit of account and can't be repriced.
+   */
+  setPrice(symbol, usd, setBy) {
+    if (!this.symbols.includes(symbol)) {
+      throw httpError(404, `${symbol} is not an accepted payment asset`);
+    }
+    if (symbol === 'USDC') {
+      throw httpError(400, 'USDC is the unit of account - its price is always 1.00');
+    }
+
+    let price;
+    try {
+      price = ethers.parseUnits(String(usd), 6);
+    } catch (error) {
+      throw httpError(400, 'usd must be a decimal amount with at most 6 decimals');
+    }
+    if (price <= 0n) {
+      throw httpError(400, 'usd must be greater than zero');
+    }
+
+    this.adminPrices[symbol] = { usd: ethers.formatUnits(price, 6), setBy, setAt: Date.now() };
+    this.savePrices();
+  }
+
+  /**
+   * Accepted assets on a network: [{ symbol, address, decimals, native }]
+   */
+  forNetwork(networkKey) {
+    const byAsset = this.addresses.get(networkKey) || new Map();
+    return [...byAsset].map(([symbol, address]) => ({ symbol, address, ...ASSETS[symbol] }));
+  }
+
+  /**
+   * Token contracts to watch for Transfer logs on a network
+   */
+  tokenAddresses(networkKey) {
+    return this.forNetwork(networkKey).filter((asset) => !asset.native).map((asset) => asset.address);
+  }
+
+  acceptsNative(networkKey) {
+    return this.forNetwork(networkKey).some((asset) => asset.native);
+  }
+
+  /**
+   * Symbol of the token at `address` on a network, or null
+   */
+  symbolAt(networkKey, address) {
+    const match = this.forNetwork(networkKey).find((asset) => asset.address === address.toLowerCase());
+    return match ? match.symbol : null;
+  }
+
+  nativeSymbol() {
+    return this.symbols.find((symbol) => ASSETS[symbol].native) || null;
+  }
+
+  /**
+   * Asset amount per mint for a mint price in micro-USDC, rounded up so the
+   * payer never pays less than the price. Throws if the asset has no price.
+   * @returns {{ asset: string, unitPrice: bigint, usdPrice: string }}
+   */
+  quote(symbol, mintPrice) {
+    if (!this.symbols.includes(symbol)) {
+      throw httpError(400, `${symbol} is not accepted - pay with one of: ${this.symbols.join(', ')}`);
+    }
+
+    const usdPrice = this.usdPrice(symbol);
+    if (usdPrice === null) {
+      throw httpError(503, `No price set for ${symbol} - it can't be quoted right now`);
+    }
+
+    const scale = 10n ** BigInt(ASSETS[symbol].decimals);
+    const unitPrice = (mintPrice * scale + usdPrice - 1n) / usdPrice;
+
+    return { asset: symbol, unitPrice, usdPrice: ethers.formatUnits(usdPrice, 6) };
+  }
+
+  /**
+   * Smallest amount a request tag is counted in for an asset
+   */
+  tagUnit(symbol) {
+    const asset = ASSETS[symbol];
+    return asset.tagUnit ?? 10n ** BigInt(Math.max(asset.decimals - 6, 0));
+  }
+
+  /**
+   * Amount in an asset's decimals for display
+   */
+  format(symbol, amount) {
+    return ethers.formatUnits(amount, ASSETS[symbol]?.decimals ?? 6);
+  }
+
+  /**
+   * Accepted assets with their current prices, for the API
+   */
+  list() {
+    return this.symbols.map((symbol) => {
+      const usdPrice = this.usdPrice(symbol);
+      return {
+        symbol,
+        name: ASSETS[symbol].name,
+        decimals: ASSETS[symbol].decimals,
+        native: Boolean(ASSETS[symbol].native),
+        usdPrice: usdPrice === null ? null : ethers.formatUnits(usdPrice, 6),
+        priceSource: symbol === 'USDC' ? 'fixed'
+          : this.adminPrices[symbol] ? 'admin'
+          : this.staticPrices[symbol] !== undefined ? 'env'
+          : usdPrice !== null ? 'stablecoin' : 'unpriced',
+        networks: Object.fromEntries(
+          [...this.addresses].filter(([, byAsset]) => byAsset.has(symbol)).map(([key, byAsset]) => [key, byAsset.get(symbol)])
+        )
+      };
+    });
+  }
+}
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function parsePriceTable(raw) {
+  const prices = {};
+
+  for (const entry of raw.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const [symbol, usd] = entry.split(':').map((part) => part.trim());
+    let price;
+    try {
+      price = ethers.parseUnits(usd, 6);
+    } catch (error) {
+      throw new Error(`ASSET_PRICES entry "${entry}" must look like SYMBOL:USD (e.g. ETH:3150.25)`);
+    }
+    if (!ASSETS[symbol] || price <= 0n) {
+      throw new Error(`ASSET_PRICES entry "${entry}" must name a known asset and a positive price`);
+    }
+    prices[symbol] = price;
+  }
+
+  return prices;
+}
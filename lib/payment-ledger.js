@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { LEGACY_NETWORK } from './networks.js';
+import { logger } from './logger.js';
+
+// =============================================================================
+// PAYMENT LEDGER - append-only JSONL store behind the USDC monitor
+// =============================================================================
+//
+// Every line is one event:
+//   { "t": <ms>, "type": "payment", "paymentId": "...", "data": { ...patch } }
+//   { "t": <ms>, "type": "tx",      "txHash": "0x...", "logIndex": 3 }
+//   { "t": <ms>, "type": "tx_released", "txHash": "0x...", "logIndex": 3 }
+//   { "t": <ms>, "type": "delivery", "paymentId": "...", "resource": "signal", "data": { ... } }
+//   { "t": <ms>, "type": "cursor",  "block": 12345, "network": "base" }
+//   { "t": <ms>, "type": "pruned",  "paymentId": "..." }
+//   { "t": <ms>, "type": "queue",   "paused": true }
+//
+// Replaying the file in order rebuilds the monitor's in-memory state. On
+// startup the file is compacted to one snapshot line per record so it does
+// not grow forever across restarts. Pruned records move to the archive file
+// (`payments.archive.jsonl` next to the ledger) at that point.
+//
+// Older ledgers wrote `signal` entries; they load as deliveries of the
+// "signal" resource.
+//
+// Processed transfers are kept per log (see transferKey) since one tx can pay
+// more than once. A `tx` entry without `logIndex` - a native transfer, an
+// x402 settlement, or any entry from an older ledger - covers the whole tx.
+
+const log = logger.child({ component: 'ledger' });
+
+/**
+ * Key of a processed transfer: "<txHash>:<logIndex>" for a token Transfer
+ * log, the bare tx hash for a whole tx
+ */
+export function transferKey(txHash, logIndex) {
+  return logIndex === undefined || logIndex === null ? txHash : `${txHash}:${logIndex}`;
+}
+
+export class PaymentLedger {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.archivePath = this.filePath.replace(/(\.jsonl)?$/, '.archive.jsonl');
+    this.fd = null;
+  }
+
+  /**
+   * Replay the ledger file and return the rebuilt state.
+   */
+  load() {
+    const payments = new Map();
+    const processedTxHashes = new Set();
+    const deliveries = new Map(); // paymentId -> { resourceId: data }
+    const archived = new Map();
+    const cursors = new Map(); // network -> last block fully scanned
+    let mintQueuePaused = false;
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A crash mid-write can leave a torn last line - skip it
+          log.warn('Corrupt ledger line, skipping', { file: this.filePath, line: index + 1 });
+          return;
+        }
+
+        if (entry.type === 'payment') {
+          const existing = payments.get(entry.paymentId) || {};
+          payments.set(entry.paymentId, Object.assign(existing, entry.data));
+        } else if (entry.type === 'tx') {
+          processedTxHashes.add(transferKey(entry.txHash, entry.logIndex));
+        } else if (entry.type === 'tx_released') {
+          processedTxHashes.delete(transferKey(entry.txHash, entry.logIndex));
+        } else if (entry.type === 'delivery' || entry.type === 'signal') {
+          const resource = entry.resource || 'signal';
+          deliveries.set(entry.paymentId, { ...deliveries.get(entry.paymentId), [resource]: entry.data });
+        } else if (entry.type === 'cursor') {
+          cursors.set(entry.network || LEGACY_NETWORK, entry.block);
+        } else if (entry.type === 'queue') {
+          mintQueuePaused = entry.paused;
+        } else if (entry.type === 'pruned' && payments.has(entry.paymentId)) {
+          archived.set(entry.paymentId, {
+            payment: payments.get(entry.paymentId),
+            deliveries: deliveries.get(entry.paymentId)
+          });
+          payments.delete(entry.paymentId);
+          deliveries.delete(entry.paymentId);
+        }
+      });
+    }
+
+    return { payments, processedTxHashes, deliveries, archived, cursors, mintQueuePaused };
+  }
+
+  /**
+   * Rewrite the ledger as one snapshot line per record, then open it for
+   * appending. Written to a temp file and renamed so a crash can't lose data.
+   */
+  open(state) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    const now = Date.now();
+    const lines = [];
+
+    if (state.archived && state.archived.size > 0) {
+      const archiveLines = [...state.archived].map(([paymentId, record]) =>
+        JSON.stringify({ t: now, paymentId, ...record })
+      );
+      fs.appendFileSync(this.archivePath, archiveLines.join('\n') + '\n');
+    }
+
+    for (const key of state.processedTxHashes) {
+      const [txHash, logIndex] = key.split(':');
+      lines.push(JSON.stringify({ t: now, type: 'tx', txHash, logIndex: logIndex === undefined ? undefined : Number(logIndex) }));
+    }
+    for (const [paymentId, data] of state.payments) {
+      lines.push(JSON.stringify({ t: now, type: 'payment', paymentId, data }));
+    }
+    for (const [paymentId, delivered] of state.deliveries) {
+      for (const [resource, data] of Object.entries(delivered)) {
+        lines.push(JSON.stringify({ t: now, type: 'delivery', paymentId, resource, data }));
+      }
+    }
+    for (const [network, block] of state.cursors) {
+      lines.push(JSON.stringify({ t: now, type: 'cursor', block, network }));
+    }
+    if (state.mintQueuePaused) {
+      lines.push(JSON.stringify({ t: now, type: 'queue', paused: true }));
+    }
+
+    fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+
+    this.fd = fs.openSync(this.filePath, 'a');
+  }
+
+  append(entry) {
+    if (this.fd === null) return;
+
+    const line = JSON.stringify({ t: Date.now(), ...entry }) + '\n';
+    fs.writeSync(this.fd, line);
+    fs.fsyncSync(this.fd);
+  }
+
+  recordPayment(paymentId, data) {
+    this.append({ type: 'payment', paymentId, data });
+  }
+
+  recordProcessedTx(txHash, logIndex) {
+    this.append({ type: 'tx', txHash, logIndex });
+  }
+
+  recordTxReleased(txHash, logIndex) {
+    this.append({ type: 'tx_released', txHash, logIndex });
+  }
+
+  recordDelivery(paymentId, resource, data) {
+    this.append({ type: 'delivery', paymentId, resource, data });
+  }
+
+  recordCursor(network, block) {
+    this.append({ type: 'cursor', block, network });
+  }
+
+  recordPruned(paymentId) {
+    this.append({ type: 'pruned', paymentId });
+  }
+
+  recordQueuePaused(paused) {
+    this.append({ type: 'queue', paused });
+  }
+}
@@ -0,0 +1,136 @@
+// =============================================================================
+// PAYMENT LIFECYCLE - the states a payment record moves through
+// =============================================================================
+//
+//   waiting_for_payment ──► payment_received ──► confirming ──► minting ──► completed
+//          │                       │                  │             │
+//          ▼                       ▼                  ▼             ▼
+//       expired ──► (late payment: payment_received or late_payment) mint_failed
+//                                                                   │
+//   underpaid / late_payment / ineligible / mint_failed / stuck ────┤
+//                                                                   ▼
+//            refund_pending_approval ──► refund_pending ──► refunding ──► refunded
+//                                                                   └──► refund_failed
+//
+// A mint that hits a temporary error goes minting → mint_retrying → minting
+// with backoff; after MINT_MAX_ATTEMPTS it becomes mint_failed for good.
+// A reorg before minting moves payment_received/confirming to `cancelled`.
+// A payment the current mint phase doesn't allow becomes `ineligible` and is
+// refunded. A payment whose payer or recipient is on the screening list is
+// `held_for_review` until an admin releases it (it then continues to wherever
+// it would have gone) or refunds it. Admins can cancel an open request,
+// attach an `unmatched` (or not yet minted auto) payment to a request, and
+// send a mint_failed payment back to the queue.
+
+export const PAYMENT_STATES = {
+  waiting_for_payment: {
+    description: 'Request created, waiting for a USDC transfer from the payer',
+    next: ['payment_received', 'ineligible', 'held_for_review', 'expired', 'cancelled']
+  },
+  expired: {
+    description: 'No payment arrived before the request expired',
+    next: ['payment_received', 'late_payment', 'ineligible', 'held_for_review'],
+    terminal: true
+  },
+  underpaid: {
+    description: 'Transfer was smaller than the price of one mint',
+    next: ['refund_pending', 'refund_pending_approval']
+  },
+  ineligible: {
+    description: 'Recipient may not mint this in the current phase (closed, not allowlisted or over the per-address cap) - will be refunded',
+    next: ['refund_pending', 'refund_pending_approval']
+  },
+  held_for_review: {
+    description: 'Payer or recipient is on the screening list - waits for an operator to release or refund it',
+    next: ['payment_received', 'underpaid', 'late_payment', 'ineligible', 'unmatched', 'refund_pending', 'refund_pending_approval']
+  },
+  late_payment: {
+    description: 'Payment arrived after the request expired and will be refunded',
+    next: ['refund_pending', 'refund_pending_approval']
+  },
+  unmatched: {
+    description: 'Payment matched no request and waits for an admin to attach it (AUTO_MINT_UNMATCHED=false)',
+    next: ['cancelled', 'refund_pending', 'refund_pending_approval']
+  },
+  payment_received: {
+    description: 'Transfer seen on-chain, waiting for confirmations',
+    next: ['confirming', 'cancelled', 'refund_pending', 'refund_pending_approval']
+  },
+  confirming: {
+    description: 'Transfer is being buried under the required number of blocks',
+    next: ['minting', 'mint_failed', 'cancelled', 'refund_pending', 'refund_pending_approval']
+  },
+  minting: {
+    description: 'Mint transaction(s) sent to the token contract',
+    next: ['completed', 'mint_retrying', 'mint_failed', 'confirming']
+  },
+  mint_retrying: {
+    description: 'Mint hit a temporary error (RPC, nonce, gas) and will be retried with backoff',
+    next: ['minting', 'mint_failed']
+  },
+  completed: {
+    description: 'All purchased tokens were minted',
+    next: [],
+    terminal: true
+  },
+  mint_failed: {
+    description: 'Minting failed permanently - will be refunded unless an admin retries it',
+    next: ['confirming', 'refund_pending', 'refund_pending_approval']
+  },
+  cancelled: {
+    description: 'Removed by a reorg before minting, cancelled by an admin, or attached to another request',
+    next: [],
+    terminal: true
+  },
+  refund_pending_approval: {
+    description: 'Refund is above the approval threshold and waits for an admin',
+    next: ['refund_pending']
+  },
+  refund_pending: {
+    description: 'Refund queued for sending',
+    next: ['refunding']
+  },
+  refunding: {
+    description: 'Refund transaction sent',
+    next: ['refunded', 'refund_failed', 'refund_pending']
+  },
+  refunded: {
+    description: 'USDC was sent back to the payer',
+    next: [],
+    terminal: true
+  },
+  refund_failed: {
+    description: 'Refund could not be sent - needs an operator to retry it',
+    next: ['refund_pending']
+  }
+};
+
+export function isTerminalState(status) {
+  return Boolean(PAYMENT_STATES[status]?.terminal);
+}
+
+/**
+ * Throw if moving a payment from `from` to `to` isn't allowed
+ */
+export function assertTransition(paymentId, from, to) {
+  if (from === to) return;
+
+  const state = PAYMENT_STATES[from];
+  if (!state || !PAYMENT_STATES[to] || !state.next.includes(to)) {
+    throw new Error(`Invalid payment state transition for ${paymentId}: ${from} → ${to}`);
+  }
+}
+
+/**
+ * Lifecycle block for the payment-status API
+ */
+export function describeState(status) {
+  const state = PAYMENT_STATES[status];
+
+  return {
+    state: status,
+    description: state?.description,
+    terminal: isTerminalState(status),
+    next: state?.next || []
+  };
+}
@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { formatUsdc } from './mint-config.js';
+import { parseTime } from './config-time.js';
+
+// =============================================================================
+// PRICING - what the next mint costs
+// =============================================================================
+//
+// Without PRICING_FILE every mint costs the contract's price. The file (JSON)
+// sets a schedule by mints sold so far - either tiers or a bonding curve -
+// plus time-boxed discounts. Prices are USDC as decimal strings:
+//   {
+//     "tiers": [
+//       { "upTo": 10000, "price": "1.00" },   // mints 1 - 10,000
+//       { "upTo": 30000, "price": "1.50" },   // mints 10,001 - 30,000
+//       { "price": "2.00" }                   // the rest
+//     ],
+//     "curve": { "start": "1.00", "increment": "0.0001", "max": "5.00" },
+//     "discounts": [
+//       { "name": "launch", "start": "2026-11-01T16:00:00Z", "end": "2026-11-02T16:00:00Z", "percentOff": 20 },
+//       { "name": "happy-hour", "start": "...", "end": "...", "price": "0.75" }
+//     ]
+//   }
+//
+// The curve is linear: mint n (from 0) costs start + n * increment, capped at
+// max. A discount either takes a percentage off or sets a flat price; the
+// first one running applies. A request for several mints is quoted at their
+// average price, and that quote is locked until the request expires.
+
+export class PricingConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingConfigError';
+  }
+}
+
+export class PriceSchedule {
+  /**
+   * @param {object} options
+   * @param {bigint} options.basePrice - Micro-USDC per mint without a schedule
+   * @param {bigint} options.minPrice - Lowest price any mint may be quoted at
+   * @param {string} [options.filePath] - Schedule file (unset = flat basePrice)
+   */
+  constructor({ basePrice, minPrice, filePath }) {
+    this.basePrice = basePrice;
+    this.minPrice = minPrice;
+    this.filePath = filePath ? path.resolve(filePath) : null;
+    this.tiers = null;
+    this.curve = null;
+    this.discounts = [];
+
+    if (this.filePath) this.load();
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new PricingConfigError(`Can't read PRICING_FILE ${this.filePath}: ${error.message}`);
+    }
+
+    if (raw.tiers && raw.curve) {
+      throw new PricingConfigError('PRICING_FILE sets both tiers and a curve - pick one');
+    }
+
+    if (raw.tiers) {
+      if (!Array.isArray(raw.tiers) || raw.tiers.length === 0) {
+        throw new PricingConfigError('tiers must be a non-empty array');
+      }
+      let previous = 0;
+      this.tiers = raw.tiers.map((tier, index) => {
+        const last = index === raw.tiers.length - 1;
+        if (!last || tier.upTo !== undefined) {
+          if (!Number.isInteger(tier.upTo) || tier.upTo <= previous) {
+            throw new PricingConfigError(`Tier ${index + 1} needs an upTo mint count above ${previous}`);
+          }
+          previous = tier.upTo;
+        }
+        return { upTo: tier.upTo ?? null, price: this.parsePrice(`tier ${index + 1} price`, tier.price) };
+      });
+    }
+
+    if (raw.curve) {
+      const { start, increment, max } = raw.curve;
+      this.curve = {
+        start: this.parsePrice('curve start', start),
+        increment: parseUsdc('curve increment', increment),
+        max: max === undefined ? null : this.parsePrice('curve max', max)
+      };
+      if (this.curve.increment < 0n) {
+        throw new PricingConfigError('curve increment must not be negative');
+      }
+    }
+
+    this.discounts = (raw.discounts || []).map((discount, index) => {
+      const name = discount.name || `discount-${index + 1}`;
+      const start = parseTime(discount.start, `Discount "${name}" start`, PricingConfigError);
+      const end = parseTime(discount.end, `Discount "${name}" end`, PricingConfigError);
+      if (start === null || end === null || end <= start) {
+        throw new PricingConfigError(`Discount "${name}" needs a start before its end`);
+      }
+
+      if (discount.price !== undefined) {
+        return { name, start, end, price: this.parsePrice(`discount "${name}" price`, discount.price) };
+      }
+      if (!Number.isInteger(discount.percentOff) || discount.percentOff <= 0 || discount.percentOff >= 100) {
+        throw new PricingConfigError(`Discount "${name}" needs a price or a whole percentOff between 1 and 99`);
+      }
+      return { name, start, end, percentOff: discount.percentOff };
+    });
+  }
+
+  parsePrice(name, value) {
+    const price = parseUsdc(name, value);
+    if (price < this.minPrice) {
+      throw new PricingConfigError(`${name} must be at least ${formatUsdc(this.minPrice)} USDC`);
+    }
+    return price;
+  }
+
+  /**
+   * Scheduled price of mint number `index` (0-based), before discounts
+   */
+  priceAt(index) {
+    if (this.tiers) {
+      const tier = this.tiers.find((entry) => entry.upTo === null || index < entry.upTo);
+      return tier ? tier.price : this.basePrice;
+    }
+    if (this.curve) {
+      const price = this.curve.start + this.curve.increment * BigInt(index);
+      return this.curve.max !== null && price > this.curve.max ? this.curve.max : price;
+    }
+    return this.basePrice;
+  }
+
+  activeDiscount(now = Date.now()) {
+    return this.discounts.find((discount) => now >= discount.start && now < discount.end) || null;
+  }
+
+  /**
+   * Micro-USDC per mint for the next `units` mints after `sold`: their
+   * average scheduled price (rounded up), with any running discount
+   */
+  unitPrice(sold, units = 1, now = Date.now()) {
+    let total = 0n;
+    for (let index = sold; index < sold + units; index++) {
+      total += this.priceAt(index);
+    }
+    let price = (total + BigInt(units) - 1n) / BigInt(units);
+
+    const discount = this.activeDiscount(now);
+    if (discount?.price !== undefined) {
+      price = discount.price;
+    } else if (discount) {
+      price = price * BigInt(100 - discount.percentOff) / 100n;
+    }
+
+    return price < this.minPrice ? this.minPrice : price;
+  }
+
+  /**
+   * Current price and schedule for the API
+   */
+  describe(sold, now = Date.now()) {
+    const discount = this.activeDiscount(now);
+    const nextTier = this.tiers?.find((tier) => tier.upTo !== null && sold < tier.upTo);
+
+    return {
+      current: formatUsdc(this.unitPrice(sold, 1, now)),
+      scheduled: formatUsdc(this.priceAt(sold)),
+      mintsSold: sold,
+      model: this.tiers ? 'tiers' : this.curve ? 'curve' : 'flat',
+      tiers: this.tiers?.map((tier) => ({ upTo: tier.upTo, price: formatUsdc(tier.price) })),
+      mintsLeftInTier: nextTier ? nextTier.upTo - sold : undefined,
+      curve: this.curve ? {
+        start: formatUsdc(this.curve.start),
+        increment: ethers.formatUnits(this.curve.increment, 6),
+        max: this.curve.max === null ? null : formatUsdc(this.curve.max)
+      } : undefined,
+      discount: discount ? {
+        name: discount.name,
+        endsAt: discount.end,
+        percentOff: discount.percentOff,
+        price: discount.price !== undefined ? formatUsdc(discount.price) : undefined
+      } : null
+    };
+  }
+}
+
+function parseUsdc(name, value) {
+  try {
+    return ethers.parseUnits(String(value), 6);
+  } catch (error) {
+    throw new PricingConfigError(`${name} must be a USDC amount with at most 6 decimals, got "${value}"`);
+  }
+}
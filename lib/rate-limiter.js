@@ -0,0 +1,73 @@
+// =============================================================================
+// RATE LIMITER - fixed-window request counters per key (IP, address)
+// =============================================================================
+//
+// Each key gets `limit` hits per `windowSeconds`; the window starts at the
+// key's first hit. The counters are themselves bounded: expired windows are
+// dropped as new keys arrive, and past `maxKeys` the oldest key is evicted, so
+// a flood of distinct keys can't grow memory either.
+
+export class RateLimitError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} retryAfter - Seconds until the caller may try again
+   */
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {object} options
+   * @param {string} options.name - What is limited, for error messages ("IP address")
+   * @param {number} options.limit - Hits allowed per window (0 = unlimited)
+   * @param {number} options.windowSeconds
+   * @param {number} [options.maxKeys] - Most keys tracked at once
+   */
+  constructor({ name, limit, windowSeconds, maxKeys = 50000 }) {
+    this.name = name;
+    this.limit = limit;
+    this.windowMs = windowSeconds * 1000;
+    this.maxKeys = maxKeys;
+    this.windows = new Map(); // key -> { count, resetAt }, oldest first
+  }
+
+  /**
+   * Count a hit for `key`. Throws RateLimitError once the key is over its limit.
+   */
+  hit(key) {
+    if (!this.limit || !key) return;
+
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      this.windows.delete(key);
+      this.makeRoom(now);
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    if (window.count >= this.limit) {
+      throw new RateLimitError(
+        `Too many requests for this ${this.name} - limit is ${this.limit} per ${this.windowMs / 1000}s`,
+        (window.resetAt - now) / 1000
+      );
+    }
+    window.count++;
+  }
+
+  makeRoom(now) {
+    if (this.windows.size < this.maxKeys) return;
+
+    // Windows are inserted in start order, so expired ones are at the front
+    for (const [key, window] of this.windows) {
+      if (window.resetAt > now && this.windows.size < this.maxKeys) break;
+      this.windows.delete(key);
+    }
+  }
+}
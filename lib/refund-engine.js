@@ -0,0 +1,441 @@
+import { ethers } from 'ethers';
+import { paymentNetwork } from './networks.js';
+import { TransactionManager } from './tx-manager.js';
+import { paymentAsset } from './payment-assets.js';
+import { logger } from './logger.js';
+
+// =============================================================================
+// REFUND ENGINE - sends payments back when we can't fulfil them
+// =============================================================================
+//
+// A payment becomes refundable when it is:
+//   underpaid    - less than the price of one mint
+//   late_payment - arrived after its request expired (LATE_PAYMENT_POLICY=refund)
+//   ineligible   - the mint phase didn't allow it (closed, allowlist, per-address cap)
+//   sold_out     - the contract refused the mint (max mints reached)
+//   failed       - mint_failed and nobody retried it within the grace window
+//   expired      - paid but never confirmed within the stuck-payment window
+//                  (counted from its last status change; confirmed and queued
+//                  payments are the mint queue's to finish, never refunded here)
+//   unmatched    - matched no request and no admin attached it within that window
+//   screening    - held for review and an operator chose to refund it
+//
+// Refund lifecycle on the payment record:
+//   refund_pending_approval → (approve) → refund_pending → refunding → refunded
+//                                                                   ↘ refund_failed
+//
+// A temporary send error (RPC, nonce, gas) puts the refund back in
+// refund_pending with backoff, up to maxAttempts; anything else, or running out
+// of attempts, ends in refund_failed until an admin retries it. A retry first
+// looks for the earlier tx, so a refund is never sent next to one still pending;
+// one pending longer than the transaction manager's maxPendingMs (stuck at the
+// fee cap) also ends in refund_failed, for an operator to clear in the wallet.
+//
+// Only the part of the payment that wasn't turned into tokens is returned, in
+// the asset and on the network it was paid with.
+
+const ERC20_TRANSFER_ABI = ['function transfer(address to, uint256 amount) external returns (bool)'];
+
+const log = logger.child({ component: 'refunds' });
+
+const SOLD_OUT_ERRORS = ['Max mints reached', 'Would exceed max mints', 'Max supply exceeded', 'Would exceed max supply'];
+
+export class RefundEngine {
+  /**
+   * @param {object} options
+   * @param {AutomaticUSDCMonitor} options.monitor - Owner of the payment records
+   * @param {Map<string, object>} options.networks - Network key -> { provider, signer, transactions, confirmations }:
+   *   `signer` controls the payment address (null = can't send), `transactions` sends its txs,
+   *   `confirmations` is the depth a payment must have before we refund it
+   * @param {PaymentAssets} options.assets - Token addresses and decimals of the accepted assets
+   * @param {bigint} options.pricePerUnit - Micro-USDC per mint, for records quoted without a usdcUnitPrice
+   * @param {bigint} options.approvalThreshold - Refunds worth more than this (micro-USDC) wait for approval
+   * @param {number} options.failedGraceMs - How long a mint_failed entry waits for a retry
+   * @param {number} options.stuckPaymentMs - How long a paid entry may sit unminted
+   * @param {number} options.maxAttempts - Sends per refund before a temporary error fails it
+   * @param {number} options.retryBaseMs - First retry delay after a temporary error; doubles every attempt
+   * @param {number} options.retryMaxMs - Longest retry delay
+   */
+  constructor(options) {
+    Object.assign(this, options);
+    this.isProcessing = false;
+  }
+
+  start(intervalMs = 60000) {
+    if ([...this.networks.values()].some((network) => !network.signer)) {
+      log.warn('Refunds will be queued but not sent: no key for the payment address (set REFUND_PRIVATE_KEY)');
+    }
+
+    setInterval(() => this.sweep(), intervalMs);
+    this.sweep();
+  }
+
+  /**
+   * Why a payment should be refunded, or null if it shouldn't be (yet).
+   * `queued` = the payment is waiting in the mint queue.
+   */
+  refundReason(data, now = Date.now(), queued = false) {
+    if (data.status === 'underpaid' || data.status === 'late_payment' || data.status === 'ineligible') {
+      return data.status;
+    }
+
+    if (data.status === 'held_for_review') {
+      return data.reviewDecision === 'refund' ? 'screening' : null;
+    }
+
+    if (data.status === 'mint_failed') {
+      if (SOLD_OUT_ERRORS.some((message) => (data.error || '').includes(message))) {
+        return 'sold_out';
+      }
+      if (now - (data.failedAt || data.mintingAt || data.paidAt || 0) >= this.failedGraceMs) {
+        return 'failed';
+      }
+      return null;
+    }
+
+    if (data.status === 'payment_received' || data.status === 'confirming') {
+      const since = data.statusChangedAt ?? data.paidAt;
+      return !data.confirmedAt && !queued && since && now - since >= this.stuckPaymentMs ? 'expired' : null;
+    }
+
+    if (data.status === 'unmatched' && now - data.paidAt >= this.stuckPaymentMs) {
+      return 'unmatched';
+    }
+
+    return null;
+  }
+
+  /**
+   * Amount still owed to the payer, in the smallest unit of the asset they paid with
+   */
+  refundAmount(data) {
+    const unitPrice = this.unitPrice(data);
+    const paid = BigInt(data.amount ?? unitPrice * BigInt(data.unitsPurchased ?? 1));
+    const used = unitPrice * BigInt(data.unitsMinted || 0);
+    return paid > used ? paid - used : 0n;
+  }
+
+  /**
+   * Price of one mint in the payment's asset - the quote it was matched at
+   */
+  unitPrice(data) {
+    return BigInt(data.unitPrice ?? this.pricePerUnit);
+  }
+
+  /**
+   * What `amount` of the payment's asset is worth in micro-USDC: itself for
+   * USDC, otherwise converted at the USDC price per mint it was quoted at
+   */
+  usdcValue(data, amount) {
+    if (paymentAsset(data) === 'USDC') return amount;
+    return amount * BigInt(data.usdcUnitPrice ?? this.pricePerUnit) / this.unitPrice(data);
+  }
+
+  /**
+   * Find newly refundable payments, then send whatever is approved
+   */
+  async sweep() {
+    try {
+      const now = Date.now();
+      const queued = new Set(this.monitor.mintQueue.map((item) => item.paymentId));
+
+      for (const [paymentId, data] of this.monitor.pendingMints.entries()) {
+        const reason = this.refundReason(data, now, queued.has(paymentId));
+        if (!reason) continue;
+
+        const amount = this.refundAmount(data);
+        if (amount === 0n) continue;
+
+        // Never refund a transfer that a reorg could still take back
+        if (!(await this.isPaymentFinal(data))) continue;
+
+        // A screening refund was already decided by an operator
+        const needsApproval = reason !== 'screening' && this.usdcValue(data, amount) > this.approvalThreshold;
+
+        this.monitor.updatePayment(paymentId, {
+          status: needsApproval ? 'refund_pending_approval' : 'refund_pending',
+          refundReason: reason,
+          refundAmount: amount.toString(),
+          refundTo: data.payer || data.userAddress,
+          refundRequestedAt: now
+        });
+
+        this.paymentLog(paymentId).info(needsApproval ? 'Refund awaiting approval' : 'Refund queued', {
+          refundReason: reason,
+          refundAmount: this.assets.format(paymentAsset(data), amount),
+          asset: paymentAsset(data),
+          refundTo: data.payer || data.userAddress
+        });
+      }
+
+      await this.processRefunds();
+    } catch (error) {
+      log.error('Error sweeping refunds', { error: error.message });
+    }
+  }
+
+  async isPaymentFinal(data) {
+    const network = this.networks.get(paymentNetwork(data));
+    if (!data.txHash || !network) return false;
+
+    const [receipt, head] = await Promise.all([
+      network.provider.getTransactionReceipt(data.txHash),
+      network.provider.getBlockNumber()
+    ]);
+
+    if (!receipt || receipt.status !== 1) return false;
+    if (data.paymentBlockHash && receipt.blockHash !== data.paymentBlockHash) return false;
+
+    return head - receipt.blockNumber + 1 >= network.confirmations;
+  }
+
+  /**
+   * Release a refund held for approval. `approvedBy` is the authenticated
+   * actor; anything the operator wants to add goes in `note`.
+   */
+  approve(paymentId, approvedBy = 'admin', note = undefined) {
+    const data = this.monitor.pendingMints.get(paymentId);
+
+    if (!data) {
+      throw new Error('Payment ID not found');
+    }
+    if (data.status !== 'refund_pending_approval') {
+      throw new Error(`Payment is ${data.status}, not awaiting refund approval`);
+    }
+
+    this.monitor.updatePayment(paymentId, {
+      status: 'refund_pending',
+      refundApprovedAt: Date.now(),
+      refundApprovedBy: approvedBy,
+      refundApprovalNote: note
+    });
+
+    this.processRefunds();
+    return data;
+  }
+
+  /**
+   * Queue a refund_failed payment's refund again (the earlier tx is checked
+   * first, so a refund that did land is never sent twice)
+   */
+  retry(paymentId, retriedBy = 'admin') {
+    const data = this.monitor.pendingMints.get(paymentId);
+
+    if (!data) {
+      throw new Error('Payment ID not found');
+    }
+    if (data.status !== 'refund_failed') {
+      throw new Error(`Payment is ${data.status}, only failed refunds can be retried`);
+    }
+
+    this.monitor.updatePayment(paymentId, {
+      status: 'refund_pending',
+      refundAttempts: 0,
+      nextRefundAttemptAt: null,
+      refundError: null,
+      refundRetriedAt: Date.now(),
+      refundRetriedBy: retriedBy
+    });
+
+    this.processRefunds();
+    return data;
+  }
+
+  /**
+   * Send queued refunds one at a time
+   */
+  async processRefunds() {
+    if (this.isProcessing) return;
+
+    this.isProcessing = true;
+
+    try {
+      const now = Date.now();
+      const queued = [...this.monitor.pendingMints.entries()].filter(
+        ([, data]) => data.status === 'refund_pending' && !(data.nextRefundAttemptAt > now) &&
+          this.networks.get(paymentNetwork(data))?.signer
+      );
+
+      for (const [paymentId, data] of queued) {
+        await this.sendRefund(paymentId, data);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async sendRefund(paymentId, data) {
+    try {
+      const { signer, transactions } = this.networks.get(paymentNetwork(data));
+      this.monitor.updatePayment(paymentId, { status: 'refunding', refundingAt: Date.now() });
+
+      // An earlier attempt's tx may still land - never send a second refund beside it
+      const previous = data.refundTxHashes || (data.refundTxHash ? [data.refundTxHash] : []);
+      if (previous.length > 0) {
+        const receipt = await transactions.findReceipt(previous);
+        if (receipt?.status === 1) {
+          this.completeRefund(paymentId, receipt);
+          return;
+        }
+        if (!receipt && await transactions.isKnown(previous)) {
+          if (this.pendingTooLong(data, transactions)) {
+            this.failStuckRefund(paymentId, previous, transactions);
+            return;
+          }
+          this.paymentLog(paymentId).info('Earlier refund tx still pending, checking again later', { refundTxHash: previous.at(-1) });
+          this.deferRefund(paymentId, { nextRefundAttemptAt: Date.now() + this.retryBaseMs }, this.retryBaseMs);
+          return;
+        }
+      }
+
+      const request = await this.refundRequest(data, signer);
+
+      // Persist every hash before it is broadcast so a restart never sends it twice
+      const receipt = await transactions.send(request, {
+        label: `Refund for ${paymentId}`,
+        log: this.paymentLog(paymentId),
+        onSubmitted: (hash, hashes) => {
+          this.monitor.updatePayment(paymentId, {
+            refundTxHash: hash,
+            refundTxHashes: hashes,
+            ...(hashes.length === 1 && { refundSentAt: Date.now() })
+          });
+        }
+      });
+      this.completeRefund(paymentId, receipt);
+    } catch (error) {
+      const attempts = (data.refundAttempts || 0) + 1;
+
+      if (TransactionManager.isRetryable(error) && attempts < this.maxAttempts) {
+        const delayMs = Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+        this.paymentLog(paymentId).warn('Refund failed, retrying', {
+          attempt: attempts,
+          maxAttempts: this.maxAttempts,
+          retryInSeconds: Math.round(delayMs / 1000),
+          error: error.message
+        });
+        this.deferRefund(paymentId, {
+          refundAttempts: attempts,
+          nextRefundAttemptAt: Date.now() + delayMs,
+          refundError: error.message
+        }, delayMs);
+        return;
+      }
+
+      this.paymentLog(paymentId).error('Refund failed', { attempts, error: error.message });
+      this.monitor.updatePayment(paymentId, {
+        status: 'refund_failed',
+        refundAttempts: attempts,
+        refundError: error.message
+      });
+    }
+  }
+
+  /**
+   * Whether the refund tx sent for `data` has been pending past the deadline
+   */
+  pendingTooLong(data, transactions) {
+    return Boolean(data.refundSentAt) && Date.now() - data.refundSentAt >= transactions.maxPendingMs;
+  }
+
+  /**
+   * Stop waiting on a refund tx that won't get mined. It may still land, so it
+   * is never re-sent here - an operator cancels it (or sees it land) first.
+   * A replacement sent from the wallet has a hash we don't know, so a retry
+   * after one would refund twice.
+   */
+  failStuckRefund(paymentId, hashes, transactions) {
+    const error = `Refund tx ${hashes.at(-1)} still pending after ${Math.round(transactions.maxPendingMs / 1000)}s - ` +
+      'let it land, or cancel it from the payment wallet, before retrying';
+
+    this.paymentLog(paymentId).error('Refund tx stuck', { refundTxHash: hashes.at(-1) });
+    this.monitor.updatePayment(paymentId, { status: 'refund_failed', refundError: error });
+  }
+
+  /**
+   * Put a refund back in the queue and look at it again after `delayMs`
+   */
+  deferRefund(paymentId, patch, delayMs) {
+    this.monitor.updatePayment(paymentId, { status: 'refund_pending', ...patch });
+    setTimeout(() => this.processRefunds(), delayMs);
+  }
+
+  /**
+   * Transaction returning `refundAmount` of the payment's asset: a plain value
+   * transfer for the native coin, an ERC-20 transfer otherwise
+   */
+  async refundRequest(data, signer) {
+    const symbol = paymentAsset(data);
+    const asset = this.assets.forNetwork(paymentNetwork(data)).find((entry) => entry.symbol === symbol);
+    const amount = BigInt(data.refundAmount);
+
+    if (!asset) {
+      throw new Error(`${symbol} is no longer accepted on ${paymentNetwork(data)} - refund it manually`);
+    }
+    if (asset.native) {
+      return { to: data.refundTo, value: amount };
+    }
+
+    const token = new ethers.Contract(asset.address, ERC20_TRANSFER_ABI, signer);
+    return token.transfer.populateTransaction(data.refundTo, amount);
+  }
+
+  completeRefund(paymentId, receipt) {
+    this.paymentLog(paymentId).info('Refund sent', { refundTxHash: receipt.hash, blockNumber: receipt.blockNumber });
+
+    this.monitor.updatePayment(paymentId, {
+      status: 'refunded',
+      refundTxHash: receipt.hash,
+      refundedAt: Date.now(),
+      refundBlockNumber: receipt.blockNumber
+    });
+  }
+
+  paymentLog(paymentId) {
+    return log.child({ paymentId, txHash: this.monitor.pendingMints.get(paymentId)?.txHash });
+  }
+
+  /**
+   * Settle refunds that were in flight when the server stopped. Each tx is
+   * checked once: a refund still pending goes back to refund_pending, where
+   * sendRefund() keeps checking it; one that can't be found is marked failed
+   * for an operator rather than re-sent.
+   */
+  async resume() {
+    for (const [paymentId, data] of this.monitor.pendingMints.entries()) {
+      if (data.status !== 'refunding') continue;
+
+      try {
+        const hashes = data.refundTxHashes || (data.refundTxHash ? [data.refundTxHash] : []);
+        const transactions = this.networks.get(paymentNetwork(data))?.transactions;
+        const receipt = hashes.length > 0 && transactions
+          ? await transactions.findReceipt(hashes)
+          : null;
+
+        if (!receipt && hashes.length > 0 && transactions && await transactions.isKnown(hashes)) {
+          if (this.pendingTooLong(data, transactions)) {
+            this.failStuckRefund(paymentId, hashes, transactions);
+            continue;
+          }
+          this.paymentLog(paymentId).info('Refund tx still pending after restart, checking again later', { refundTxHash: hashes.at(-1) });
+          this.deferRefund(paymentId, { nextRefundAttemptAt: Date.now() + this.retryBaseMs }, this.retryBaseMs);
+          continue;
+        }
+
+        if (!receipt || receipt.status !== 1) {
+          this.monitor.updatePayment(paymentId, {
+            status: 'refund_failed',
+            refundError: receipt
+              ? `Refund tx ${receipt.hash} reverted`
+              : 'Refund tx not found after restart - check the payment wallet before retrying'
+          });
+          continue;
+        }
+
+        this.completeRefund(paymentId, receipt);
+      } catch (error) {
+        this.monitor.updatePayment(paymentId, { status: 'refund_failed', refundError: error.message });
+      }
+    }
+  }
+}
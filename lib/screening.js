@@ -0,0 +1,147 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { AuditLog } from './audit-log.js';
+import { logger } from './logger.js';
+
+// =============================================================================
+// PAYER SCREENING - blocklist check before a payment is minted
+// =============================================================================
+//
+// SCREENING_LIST_FILE holds one address per line; `#` starts a comment, and a
+// comment after an address is kept as that entry's note:
+//   # OFAC SDN list, 2026-10-01
+//   0x8589427373D6D84E98730D7795D8f6f8731FDA16   # Tornado Cash
+//
+// The file is re-read when it changes (and on POST /api/admin/screening/reload),
+// so the list can be updated without a restart. A file that fails to parse
+// keeps the previous list in force.
+//
+// Every decision - clear or hit - is appended to SCREENING_LOG_FILE with the
+// addresses checked and the version (content hash) of the list that decided
+// it, together with list reloads and operator reviews of held payments.
+
+const log = logger.child({ component: 'screening' });
+
+export class ScreeningConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScreeningConfigError';
+  }
+}
+
+export class PayerScreening {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath - Blocklist file
+   * @param {string} options.logFile - Append-only log of screening decisions
+   * @param {object} [options.logOptions] - Rotation settings for the log (see lib/audit-log.js)
+   * @param {number} [options.watchIntervalMs] - How often the file is checked for changes
+   */
+  constructor({ filePath, logFile, logOptions, watchIntervalMs = 5000 }) {
+    this.filePath = path.resolve(filePath);
+    this.log = new AuditLog(logFile, logOptions);
+    this.watchIntervalMs = watchIntervalMs;
+    this.entries = new Map(); // address -> note
+    this.version = null;
+    this.loadedAt = null;
+
+    this.reload();
+  }
+
+  /**
+   * Re-read the blocklist. Throws ScreeningConfigError and keeps the current
+   * list if the file can't be read or has an invalid address.
+   * @returns {{ entries: number, version: string, changed: boolean }}
+   */
+  reload() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf8');
+    } catch (error) {
+      throw new ScreeningConfigError(`Can't read SCREENING_LIST_FILE ${this.filePath}: ${error.message}`);
+    }
+
+    const entries = new Map();
+    content.split('\n').forEach((line, index) => {
+      const [value, ...comment] = line.split('#');
+      const address = value.trim();
+      if (!address) return;
+
+      if (!ethers.isAddress(address)) {
+        throw new ScreeningConfigError(`SCREENING_LIST_FILE line ${index + 1} is not an address: ${address}`);
+      }
+      entries.set(address.toLowerCase(), comment.join('#').trim() || null);
+    });
+
+    const version = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+    const changed = version !== this.version;
+
+    this.entries = entries;
+    this.version = version;
+    this.loadedAt = Date.now();
+
+    if (changed) {
+      this.log.record({ type: 'list_loaded', entries: entries.size, version });
+    }
+    return { entries: entries.size, version, changed };
+  }
+
+  /**
+   * Reload the list whenever the file changes
+   */
+  watch() {
+    fs.watchFile(this.filePath, { interval: this.watchIntervalMs, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+
+      try {
+        const { entries, version, changed } = this.reload();
+        if (changed) log.info('Screening list reloaded', { entries, version });
+      } catch (error) {
+        log.error('Screening list not reloaded, keeping the current one', { version: this.version, error: error.message });
+        this.log.record({ type: 'list_reload_failed', version: this.version, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Check the payer and recipient of a payment and log the decision
+   * @param {object} subject
+   * @param {string} subject.payer
+   * @param {string} subject.recipient
+   * @param {object} [subject.context] - paymentId, txHash, network... for the log
+   * @returns {{ decision: 'clear'|'hit', hits: object[], version: string }}
+   */
+  screen({ payer, recipient, context = {} }) {
+    const hits = [['payer', payer], ['recipient', recipient]]
+      .filter(([, address]) => address && this.entries.has(address.toLowerCase()))
+      .map(([role, address]) => ({ role, address: address.toLowerCase(), note: this.entries.get(address.toLowerCase()) }));
+
+    const result = { decision: hits.length ? 'hit' : 'clear', hits, version: this.version };
+    this.log.record({
+      type: 'decision',
+      ...context,
+      payer: payer?.toLowerCase(),
+      recipient: recipient?.toLowerCase(),
+      ...result
+    });
+    return result;
+  }
+
+  /**
+   * Log an operator's decision on a held payment
+   */
+  recordReview(paymentId, decision, actor, note) {
+    this.log.record({ type: 'review', paymentId, decision, actor, note });
+  }
+
+  describe() {
+    return {
+      file: this.filePath,
+      entries: this.entries.size,
+      version: this.version,
+      loadedAt: this.loadedAt
+    };
+  }
+}
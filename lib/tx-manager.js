@@ -0,0 +1,339 @@
+import { ethers } from 'ethers';
+import { logger } from './logger.js';
+
+// =============================================================================
+// TRANSACTION MANAGER - nonces, fees and stuck-tx replacement for one wallet
+// =============================================================================
+//
+// Every transaction the server sends from a wallet goes through its manager:
+//   - nonces are handed out locally, so concurrent senders never collide
+//   - gas is estimated up front (a revert fails here, before spending gas)
+//   - EIP-1559 fees follow the network but never exceed the configured caps
+//   - a tx not mined within `stuckTimeoutMs` is re-sent with the same nonce
+//     and bumped fees; whichever version gets mined is the result
+//   - a tx still not mined after `maxPendingMs` (stuck at the fee cap) is
+//     handed back to the caller as a TX_PENDING error carrying its hashes,
+//     so one underpriced tx can't hold up everything queued behind it
+//
+// Errors come out as TransactionError with `retryable` set: RPC hiccups, nonce
+// races and low ETH balance are worth retrying later, reverts are not. A
+// TX_PENDING tx may still be mined - callers must watch its `hashes`
+// (waitForAny) rather than send the same thing again.
+
+export const TX_PENDING = 'TX_PENDING';
+
+const RETRYABLE_CODES = [
+  'NETWORK_ERROR',
+  'SERVER_ERROR',
+  'TIMEOUT',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'INSUFFICIENT_FUNDS',
+  'UNKNOWN_ERROR'
+];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const txLog = logger.child({ component: 'transactions' });
+
+export class TransactionError extends Error {
+  constructor(message, { retryable = false, code, receipt, hashes } = {}) {
+    super(message);
+    this.name = 'TransactionError';
+    this.retryable = retryable;
+    this.code = code;
+    this.receipt = receipt;
+    this.hashes = hashes;
+  }
+}
+
+export class TransactionManager {
+  /**
+   * @param {object} options
+   * @param {ethers.Wallet} options.wallet - Signer connected to a provider
+   * @param {bigint|null} options.maxFeePerGas - Fee cap in wei (null = follow the network)
+   * @param {bigint|null} options.maxPriorityFeePerGas - Tip cap in wei (null = follow the network)
+   * @param {number} options.feeBumpPercent - Fee increase per replacement (nodes require >= 10)
+   * @param {number} options.stuckTimeoutMs - How long a tx may stay unmined before it is replaced
+   * @param {number} options.maxReplacements - Replacements per tx before we just keep waiting
+   * @param {number} options.maxPendingMs - How long send() waits for a tx before giving it back as TX_PENDING
+   * @param {number} options.gasLimitPercent - Gas limit as a percentage of the estimate
+   * @param {number} options.pollIntervalMs - How often pending txs are checked
+   */
+  constructor(options) {
+    Object.assign(this, {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      feeBumpPercent: 25,
+      stuckTimeoutMs: 90000,
+      maxReplacements: 5,
+      maxPendingMs: 10 * 60 * 1000,
+      gasLimitPercent: 120,
+      pollIntervalMs: 2000
+    }, options);
+
+    this.provider = this.wallet.provider;
+    this.address = this.wallet.address;
+    this.nonce = null; // Next nonce to use; null = read it from the chain
+    this.nonceLock = Promise.resolve();
+  }
+
+  /**
+   * Whether an error is worth retrying later
+   */
+  static isRetryable(error) {
+    if (error instanceof TransactionError) return error.retryable;
+    return RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Estimate, sign and send `request`, replacing it while it's stuck, and
+   * resolve with the receipt of whichever version was mined.
+   * `onSubmitted(hash, hashes)` runs before each version is broadcast so the
+   * caller can persist every hash that might end up on-chain. `log` is the
+   * caller's logger, so tx lines carry its fields (e.g. the paymentId).
+   */
+  async send(request, { label = 'tx', onSubmitted, log = txLog } = {}) {
+    let gasLimit;
+    try {
+      const estimate = await this.provider.estimateGas({ ...request, from: this.address });
+      gasLimit = estimate * BigInt(this.gasLimitPercent) / 100n;
+    } catch (error) {
+      throw this.wrapError(error, `${label}: gas estimation failed`);
+    }
+
+    const pending = await this.withNonce(async (nonce) => {
+      const fees = await this.currentFees();
+      const pending = { request: { ...request, gasLimit }, nonce, hashes: [], ...fees };
+
+      await this.broadcast(pending, onSubmitted);
+      return pending;
+    });
+
+    log.info('Transaction sent', { label, sentTxHash: pending.hashes[0], nonce: pending.nonce, from: this.address });
+
+    const receipt = await this.waitUntilMined(pending, label, onSubmitted, log);
+
+    if (receipt.status !== 1) {
+      throw new TransactionError(`${label} reverted in tx ${receipt.hash}`, { code: 'CALL_EXCEPTION', receipt });
+    }
+
+    return receipt;
+  }
+
+  /**
+   * Wait for any of `hashes` (versions of one nonce) to be mined. Resolves
+   * with its receipt, or null if the node knows none of them any more.
+   * Used after a restart, when the original request is gone.
+   */
+  async waitForAny(hashes) {
+    while (true) {
+      const receipt = await this.findReceipt(hashes);
+      if (receipt) return receipt;
+
+      if (!(await this.isKnown(hashes))) return null;
+
+      await sleep(this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Whether the node still knows any of `hashes` (mined or in its mempool)
+   */
+  async isKnown(hashes) {
+    const known = await Promise.all(hashes.map((hash) => this.provider.getTransaction(hash)));
+    return known.some(Boolean);
+  }
+
+  async findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Run `fn(nonce)` with the next local nonce. Calls are serialized; the nonce
+   * is only consumed if `fn` succeeds, and re-read from the chain on failure.
+   */
+  withNonce(fn) {
+    const run = this.nonceLock.then(async () => {
+      if (this.nonce === null) {
+        this.nonce = await this.provider.getTransactionCount(this.address, 'pending');
+      }
+
+      try {
+        const result = await fn(this.nonce);
+        this.nonce++;
+        return result;
+      } catch (error) {
+        this.nonce = null;
+        throw error;
+      }
+    });
+
+    this.nonceLock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Network fees, clamped to the configured caps
+   */
+  async currentFees() {
+    const feeData = await this.provider.getFeeData();
+    let maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice;
+    let maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? 0n;
+
+    if (this.maxFeePerGas !== null && maxFeePerGas > this.maxFeePerGas) {
+      maxFeePerGas = this.maxFeePerGas;
+    }
+    if (this.maxPriorityFeePerGas !== null && maxPriorityFeePerGas > this.maxPriorityFeePerGas) {
+      maxPriorityFeePerGas = this.maxPriorityFeePerGas;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      maxPriorityFeePerGas = maxFeePerGas;
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Sign the pending tx at its current fees and broadcast it
+   */
+  async broadcast(pending, onSubmitted) {
+    const signed = await this.wallet.signTransaction(await this.wallet.populateTransaction({
+      ...pending.request,
+      nonce: pending.nonce,
+      type: 2,
+      maxFeePerGas: pending.maxFeePerGas,
+      maxPriorityFeePerGas: pending.maxPriorityFeePerGas
+    }));
+    const hash = ethers.keccak256(signed);
+
+    pending.hashes.push(hash);
+    pending.sentAt = Date.now();
+    pending.firstSentAt ??= pending.sentAt;
+    if (onSubmitted) onSubmitted(hash, [...pending.hashes]);
+
+    try {
+      await this.provider.broadcastTransaction(signed);
+    } catch (error) {
+      // The node may have accepted it before the connection dropped
+      if (!(await this.provider.getTransaction(hash).catch(() => null))) {
+        pending.hashes.pop();
+        throw this.wrapError(error, 'Broadcast failed');
+      }
+    }
+  }
+
+  /**
+   * Poll until one version of the pending tx is mined, replacing it with
+   * higher fees each time it sits for `stuckTimeoutMs`. Gives up with a
+   * retryable TX_PENDING error after `maxPendingMs`.
+   */
+  async waitUntilMined(pending, label, onSubmitted, log = txLog) {
+    let replacements = 0;
+
+    while (true) {
+      let confirmedNonce;
+      try {
+        const receipt = await this.findReceipt(pending.hashes);
+        if (receipt) return receipt;
+
+        confirmedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+        if (confirmedNonce > pending.nonce) {
+          // Our nonce was used - by one of our versions unless the lookup raced the block
+          const raced = await this.findReceipt(pending.hashes);
+          if (raced) return raced;
+        }
+      } catch (error) {
+        // The tx is out there - never give up on it over an RPC hiccup
+        log.warn('Checking transaction failed, will retry', { label, nonce: pending.nonce, error: error.shortMessage || error.message });
+        await sleep(this.pollIntervalMs);
+        continue;
+      }
+
+      if (confirmedNonce > pending.nonce) {
+        this.nonce = null;
+        throw new TransactionError(`${label}: nonce ${pending.nonce} was used by another transaction`, { retryable: true });
+      }
+
+      if (Date.now() - pending.firstSentAt >= this.maxPendingMs) {
+        log.warn('Transaction still pending past its deadline, handing it back', {
+          label,
+          nonce: pending.nonce,
+          pendingSeconds: Math.round((Date.now() - pending.firstSentAt) / 1000),
+          sentTxHash: pending.hashes.at(-1)
+        });
+        throw new TransactionError(`${label}: nonce ${pending.nonce} still not mined after ${Math.round(this.maxPendingMs / 1000)}s`, {
+          retryable: true,
+          code: TX_PENDING,
+          hashes: [...pending.hashes]
+        });
+      }
+
+      if (Date.now() - pending.sentAt >= this.stuckTimeoutMs) {
+        if (replacements < this.maxReplacements && await this.bumpFees(pending).catch(() => false)) {
+          replacements++;
+          try {
+            await this.broadcast(pending, onSubmitted);
+            log.warn('Transaction stuck, replaced with higher fees', {
+              label,
+              nonce: pending.nonce,
+              stuckSeconds: Math.round(this.stuckTimeoutMs / 1000),
+              sentTxHash: pending.hashes.at(-1),
+              maxFeeGwei: ethers.formatUnits(pending.maxFeePerGas, 'gwei')
+            });
+          } catch (error) {
+            // Most likely an earlier version was just mined - the next poll finds it
+            log.warn('Replacing transaction failed', { label, nonce: pending.nonce, error: error.message });
+          }
+        } else {
+          log.warn('Transaction still pending at its fee cap, waiting', { label, nonce: pending.nonce });
+          pending.sentAt = Date.now();
+        }
+      }
+
+      await sleep(this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Raise the pending tx's fees by feeBumpPercent (or to the network rate if
+   * that is higher). Returns false when the caps leave no room to bump.
+   */
+  async bumpFees(pending) {
+    const bump = (value) => value * BigInt(100 + this.feeBumpPercent) / 100n;
+    const network = await this.currentFees();
+
+    let maxFeePerGas = bump(pending.maxFeePerGas);
+    let maxPriorityFeePerGas = bump(pending.maxPriorityFeePerGas);
+    if (network.maxFeePerGas > maxFeePerGas) maxFeePerGas = network.maxFeePerGas;
+    if (network.maxPriorityFeePerGas > maxPriorityFeePerGas) maxPriorityFeePerGas = network.maxPriorityFeePerGas;
+
+    if (this.maxFeePerGas !== null && maxFeePerGas > this.maxFeePerGas) maxFeePerGas = this.maxFeePerGas;
+    if (this.maxPriorityFeePerGas !== null && maxPriorityFeePerGas > this.maxPriorityFeePerGas) {
+      maxPriorityFeePerGas = this.maxPriorityFeePerGas;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+
+    // Nodes only accept a replacement that raises both fees by at least 10%
+    const minimum = (value) => value * 110n / 100n;
+    if (maxFeePerGas < minimum(pending.maxFeePerGas) || maxPriorityFeePerGas < minimum(pending.maxPriorityFeePerGas)) {
+      return false;
+    }
+
+    pending.maxFeePerGas = maxFeePerGas;
+    pending.maxPriorityFeePerGas = maxPriorityFeePerGas;
+    return true;
+  }
+
+  wrapError(error, context) {
+    return new TransactionError(`${context}: ${error.shortMessage || error.message}`, {
+      retryable: TransactionManager.isRetryable(error),
+      code: error.code
+    });
+  }
+}
@@ -0,0 +1,343 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import path from 'path';
+import { AuditLog } from './audit-log.js';
+import { logger } from './logger.js';
+
+// =============================================================================
+// WEBHOOKS - signed POSTs for payment lifecycle events
+// =============================================================================
+//
+// Each event goes to the payment's own `callbackUrl` (if it set one) and to
+// every global webhook. Bodies are JSON:
+//   { "id": "evt_...", "type": "completed", "createdAt": <ms>, "data": { ...payment status } }
+//
+// and carry `X-Webhook-Signature: t=<unix seconds>,v1=<hex>` where v1 is
+// HMAC-SHA256(WEBHOOK_SECRET, "<t>.<raw body>"). Receivers should recompute
+// it, compare in constant time and reject stale timestamps.
+//
+// Failed deliveries (network error or non-2xx) are retried with exponential
+// backoff. Every attempt is appended to the delivery log, which is also how
+// retries still owed survive a restart.
+//
+// A per-request callbackUrl comes from anyone, so unless private URLs are
+// allowed its host is resolved before every attempt and the delivery is
+// refused if any address is loopback, link-local or private. The request then
+// connects to the address that was checked - a second lookup could answer
+// differently (DNS rebinding) - while Host and TLS SNI keep the URL's name.
+// Redirects are never followed.
+
+export const WEBHOOK_EVENTS = ['payment_received', 'minting', 'completed', 'mint_failed', 'expired', 'refunded'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const log = logger.child({ component: 'webhooks' });
+
+export class WebhookDispatcher {
+  /**
+   * @param {object} options
+   * @param {string} options.secret - HMAC key shared with receivers
+   * @param {string[]} options.urls - Global webhooks from the environment
+   * @param {string} options.registryFile - Global webhooks registered through the admin API
+   * @param {string} options.logFile - Delivery log (JSONL)
+   * @param {object} [options.logOptions] - Rotation settings for the log (see lib/audit-log.js)
+   * @param {number} options.maxAttempts - Attempts per delivery before giving up
+   * @param {number} options.retryBaseMs - First retry delay; doubles every attempt
+   * @param {number} options.timeoutMs - Per-request timeout
+   * @param {boolean} [options.allowPrivateCallbacks] - Let per-request callbacks reach private addresses
+   */
+  constructor(options) {
+    Object.assign(this, options);
+    this.registryFile = path.resolve(this.registryFile);
+    this.log = new AuditLog(this.logFile, this.logOptions);
+    this.registered = this.loadRegistry();
+  }
+
+  loadRegistry() {
+    if (!fs.existsSync(this.registryFile)) return [];
+    return JSON.parse(fs.readFileSync(this.registryFile, 'utf8'));
+  }
+
+  saveRegistry() {
+    const tmpPath = `${this.registryFile}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.registered, null, 2));
+    fs.renameSync(tmpPath, this.registryFile);
+  }
+
+  /**
+   * Global webhooks: [{ url, events, source }]
+   */
+  list() {
+    return [
+      ...this.urls.map((url) => ({ url, events: WEBHOOK_EVENTS, source: 'env' })),
+      ...this.registered.map((hook) => ({ ...hook, source: 'api' }))
+    ];
+  }
+
+  register(url, events = WEBHOOK_EVENTS) {
+    assertWebhookUrl(url);
+
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook event(s): ${unknown.join(', ')}`);
+    }
+
+    this.registered = this.registered.filter((hook) => hook.url !== url);
+    this.registered.push({ url, events, createdAt: Date.now() });
+    this.saveRegistry();
+  }
+
+  unregister(url) {
+    const before = this.registered.length;
+    this.registered = this.registered.filter((hook) => hook.url !== url);
+    if (this.registered.length === before) {
+      throw new Error('Webhook not registered');
+    }
+    this.saveRegistry();
+  }
+
+  /**
+   * Queue one event for the payment's callback and every interested global hook
+   */
+  dispatch(type, payment, callbackUrl) {
+    if (!WEBHOOK_EVENTS.includes(type)) return;
+
+    const targets = new Set(this.list().filter((hook) => hook.events.includes(type)).map((hook) => hook.url));
+    if (callbackUrl) targets.add(callbackUrl);
+    if (targets.size === 0) return;
+
+    const event = {
+      id: 'evt_' + crypto.randomBytes(12).toString('hex'),
+      type,
+      createdAt: Date.now(),
+      data: payment
+    };
+    const body = JSON.stringify(event);
+
+    for (const url of targets) {
+      const delivery = {
+        deliveryId: 'dlv_' + crypto.randomBytes(12).toString('hex'),
+        eventId: event.id,
+        event: type,
+        paymentId: payment.paymentId,
+        url
+      };
+
+      this.log.record({ ...delivery, state: 'queued', body });
+      this.attempt(delivery, body, 1);
+    }
+  }
+
+  sign(body, timestamp) {
+    const digest = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  async attempt(delivery, body, attempt) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let httpStatus = null;
+    let error = null;
+
+    try {
+      // Global webhooks are set by operators; anything else is a callbackUrl
+      let address = null;
+      if (!this.allowPrivateCallbacks && !this.list().some((hook) => hook.url === delivery.url)) {
+        address = await assertPublicHost(delivery.url);
+      }
+
+      httpStatus = await postWebhook(delivery.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'x402rocks-webhooks/1',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Signature': this.sign(body, timestamp)
+        },
+        body,
+        address,
+        timeoutMs: this.timeoutMs
+      });
+      if (httpStatus < 200 || httpStatus > 299) error = `HTTP ${httpStatus}`;
+    } catch (postError) {
+      error = postError.message;
+    }
+
+    if (!error) {
+      this.log.record({ ...delivery, state: 'delivered', attempt, httpStatus });
+      return;
+    }
+
+    if (attempt >= this.maxAttempts) {
+      log.warn('Webhook delivery failed for good', {
+        paymentId: delivery.paymentId,
+        event: delivery.event,
+        url: delivery.url,
+        attempt,
+        httpStatus,
+        error
+      });
+      this.log.record({ ...delivery, state: 'failed', attempt, httpStatus, error });
+      return;
+    }
+
+    const delayMs = this.retryBaseMs * 2 ** (attempt - 1);
+    this.log.record({ ...delivery, state: 'retrying', attempt, httpStatus, error, nextAttemptAt: Date.now() + delayMs });
+
+    await sleep(delayMs);
+    return this.attempt(delivery, body, attempt + 1);
+  }
+
+  /**
+   * Pick up deliveries that still had retries owed when the server stopped
+   */
+  async resume() {
+    const deliveries = new Map();
+    const startedAt = Date.now();
+
+    for await (const entry of this.log.entries()) {
+      // Deliveries queued while the log is being read are already under way
+      if (entry.t > startedAt) continue;
+
+      const known = deliveries.get(entry.deliveryId) || {};
+      deliveries.set(entry.deliveryId, { ...known, ...entry, body: entry.body ?? known.body });
+    }
+
+    let resumed = 0;
+    for (const entry of deliveries.values()) {
+      if (entry.state !== 'queued' && entry.state !== 'retrying') continue;
+
+      const { deliveryId, eventId, event, paymentId, url } = entry;
+      const delivery = { deliveryId, eventId, event, paymentId, url };
+      const wait = Math.max((entry.nextAttemptAt || 0) - Date.now(), 0);
+
+      setTimeout(() => this.attempt(delivery, entry.body, (entry.attempt || 0) + 1), wait);
+      resumed++;
+    }
+
+    if (resumed > 0) {
+      log.info('Resuming webhook deliveries', { count: resumed });
+    }
+  }
+
+  /**
+   * Latest state of recent deliveries (those in the log's in-memory tail),
+   * newest first
+   */
+  recentDeliveries({ paymentId, state } = {}, limit = 100) {
+    const latest = new Map();
+
+    for (const entry of this.log.recent(this.log.tailSize)) {
+      if (latest.has(entry.deliveryId)) continue;
+      if (paymentId && entry.paymentId !== paymentId) continue;
+      latest.set(entry.deliveryId, entry);
+    }
+
+    return [...latest.values()]
+      .filter((entry) => !state || entry.state === state)
+      .slice(0, limit)
+      .map(({ body, ...entry }) => entry);
+  }
+}
+
+/**
+ * Throw unless `url` is an http(s) URL we can POST to. Per-request callbacks
+ * come from anyone, so they may not point at loopback or private addresses
+ * unless `allowPrivate` is set.
+ */
+export function assertWebhookUrl(url, { allowPrivate = true } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Webhook URL is not a valid URL');
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error('Webhook URL must use http or https');
+  }
+  if (!allowPrivate && isPrivateHost(parsed.hostname)) {
+    throw new Error('Webhook URL must not point at a private or loopback address');
+  }
+}
+
+/**
+ * Throw if `url`'s host is, or resolves to, a private or loopback address.
+ * Checked when sending, since a public name can point anywhere. Returns the
+ * checked `{ address, family }` to connect to, or null for an IP literal.
+ */
+export async function assertPublicHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (isPrivateHost(host)) {
+    throw new Error('Webhook URL must not point at a private or loopback address');
+  }
+  if (net.isIP(host)) return null;
+
+  const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  const blocked = addresses.find(({ address }) => isPrivateHost(address));
+  if (blocked) {
+    throw new Error(`Webhook host ${host} resolves to a private or loopback address (${blocked.address})`);
+  }
+  return addresses[0];
+}
+
+/**
+ * POST `body` to `url` and resolve with the response status. With `address`
+ * the connection goes there instead of resolving the name again; the Host
+ * header and TLS servername still come from the URL.
+ */
+export function postWebhook(url, { headers, body, address = null, timeoutMs }) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  const lookup = (hostname, options, callback) => options.all
+    ? callback(null, [address])
+    : callback(null, address.address, address.family);
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(address && { lookup }),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Whether `hostname` (a name or IP literal) is loopback, private, link-local
+ * or otherwise not a public address
+ */
+export function isPrivateHost(hostname) {
+  let host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as URL writes it)
+  const mapped = host.match(/^::ffff:(?:0:)?(.+)$/);
+  if (mapped) {
+    const groups = mapped[1].split(':');
+    host = groups.length === 2
+      ? groups.flatMap((group) => { const value = parseInt(group, 16); return [value >> 8, value & 0xff]; }).join('.')
+      : mapped[1];
+  }
+
+  if (host === '::1' || host === '::' || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host)) return true;
+
+  const octets = host.split('.').map(Number);
+  if (octets.length !== 4 || octets.some((octet) => !Number.isInteger(octet))) return false;
+
+  const [a, b] = octets;
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+}
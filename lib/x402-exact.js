@@ -0,0 +1,201 @@
+import { ethers } from 'ethers';
+
+// =============================================================================
+// x402 "exact" SCHEME - EIP-3009 transferWithAuthorization settlement
+// =============================================================================
+//
+// Clients answer a 402 by retrying the request with an X-PAYMENT header: a
+// base64 JSON PaymentPayload whose `payload` carries an EIP-3009 authorization
+// and its EIP-712 signature. We verify it against the resource's
+// PaymentRequirements, submit transferWithAuthorization with the server
+// wallet, and hand back an X-PAYMENT-RESPONSE header describing the settlement.
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+// Seconds an authorization must stay valid for so the settlement tx can land
+const VALID_BEFORE_BUFFER_SECONDS = 6;
+
+export class X402PaymentError extends Error {
+  constructor(reason, message) {
+    super(message || reason);
+    this.name = 'X402PaymentError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Decode an X-PAYMENT header into a PaymentPayload object
+ */
+export function decodePaymentHeader(header) {
+  try {
+    const payment = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    if (!payment || typeof payment !== 'object') {
+      throw new Error('not an object');
+    }
+    return payment;
+  } catch (error) {
+    throw new X402PaymentError('invalid_payload', `Malformed X-PAYMENT header: ${error.message}`);
+  }
+}
+
+/**
+ * Encode a settlement result for the X-PAYMENT-RESPONSE header
+ */
+export function encodePaymentResponse(settlement) {
+  return Buffer.from(JSON.stringify(settlement)).toString('base64');
+}
+
+export class X402ExactFacilitator {
+  /**
+   * @param {object} options
+   * @param {ethers.Contract} options.usdc - USDC contract connected to the settling wallet
+   * @param {TransactionManager} options.transactions - Sends txs for the settling wallet
+   * @param {number} options.chainId - Chain ID used in the EIP-712 domain
+   * @param {string} options.network - x402 network name (e.g. 'base')
+   */
+  constructor({ usdc, transactions, chainId, network }) {
+    this.usdc = usdc;
+    this.transactions = transactions;
+    this.chainId = chainId;
+    this.network = network;
+    this.inFlight = new Set(); // `${from}:${nonce}` being settled right now
+  }
+
+  /**
+   * Check a PaymentPayload against the PaymentRequirements it answers.
+   * Throws X402PaymentError with a spec invalidReason when it doesn't hold.
+   */
+  async verify(payment, requirements) {
+    if (payment.x402Version !== 1) {
+      throw new X402PaymentError('invalid_x402_version');
+    }
+    if (payment.scheme !== 'exact' || requirements.scheme !== 'exact') {
+      throw new X402PaymentError('invalid_scheme');
+    }
+    if (payment.network !== requirements.network || payment.network !== this.network) {
+      throw new X402PaymentError('invalid_network');
+    }
+
+    const { signature, authorization } = payment.payload || {};
+    if (!signature || !authorization || !ethers.isAddress(authorization.from) ||
+        !ethers.isAddress(authorization.to) || !ethers.isHexString(authorization.nonce, 32)) {
+      throw new X402PaymentError('invalid_payload');
+    }
+
+    if (ethers.getAddress(requirements.asset) !== ethers.getAddress(await this.usdc.getAddress())) {
+      throw new X402PaymentError('invalid_payload', 'Unsupported asset');
+    }
+    if (ethers.getAddress(authorization.to) !== ethers.getAddress(requirements.payTo)) {
+      throw new X402PaymentError('invalid_exact_evm_payload_recipient_mismatch');
+    }
+
+    let value, validAfter, validBefore;
+    try {
+      value = BigInt(authorization.value);
+      validAfter = BigInt(authorization.validAfter);
+      validBefore = BigInt(authorization.validBefore);
+    } catch (error) {
+      throw new X402PaymentError('invalid_payload', 'Authorization amounts must be integers');
+    }
+
+    if (value < BigInt(requirements.maxAmountRequired)) {
+      throw new X402PaymentError('invalid_exact_evm_payload_authorization_value');
+    }
+
+    const now = BigInt(Math.floor(Date.now() / 1000));
+    if (validAfter > now) {
+      throw new X402PaymentError('invalid_exact_evm_payload_authorization_valid_after');
+    }
+    if (validBefore < now + BigInt(VALID_BEFORE_BUFFER_SECONDS)) {
+      throw new X402PaymentError('invalid_exact_evm_payload_authorization_valid_before');
+    }
+
+    const domain = {
+      name: requirements.extra?.name || 'USD Coin',
+      version: requirements.extra?.version || '2',
+      chainId: this.chainId,
+      verifyingContract: requirements.asset
+    };
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, authorization, signature);
+    } catch (error) {
+      throw new X402PaymentError('invalid_exact_evm_payload_signature');
+    }
+    if (ethers.getAddress(signer) !== ethers.getAddress(authorization.from)) {
+      throw new X402PaymentError('invalid_exact_evm_payload_signature');
+    }
+
+    const [used, balance] = await Promise.all([
+      this.usdc.authorizationState(authorization.from, authorization.nonce),
+      this.usdc.balanceOf(authorization.from)
+    ]);
+    if (used) {
+      throw new X402PaymentError('invalid_exact_evm_payload_authorization_nonce', 'Authorization already used');
+    }
+    if (balance < value) {
+      throw new X402PaymentError('insufficient_funds');
+    }
+
+    return { payer: ethers.getAddress(authorization.from), value };
+  }
+
+  /**
+   * Submit transferWithAuthorization for a verified payment.
+   * `onSubmitted(txHash)` runs before each version of the tx is broadcast (a
+   * stuck tx is re-sent with higher fees) so callers can claim every hash
+   * before the transfer monitor sees it.
+   */
+  async settle(payment, onSubmitted) {
+    const { signature, authorization } = payment.payload;
+    const key = `${authorization.from.toLowerCase()}:${authorization.nonce}`;
+
+    if (this.inFlight.has(key)) {
+      throw new X402PaymentError('invalid_exact_evm_payload_authorization_nonce', 'Authorization is already being settled');
+    }
+    this.inFlight.add(key);
+
+    try {
+      const { v, r, s } = ethers.Signature.from(signature);
+      const request = await this.usdc.transferWithAuthorization.populateTransaction(
+        authorization.from,
+        authorization.to,
+        authorization.value,
+        authorization.validAfter,
+        authorization.validBefore,
+        authorization.nonce,
+        v, r, s
+      );
+
+      const receipt = await this.transactions.send(request, {
+        label: 'x402 settlement',
+        onSubmitted: (hash) => onSubmitted && onSubmitted(hash)
+      });
+
+      return {
+        success: true,
+        transaction: receipt.hash,
+        network: this.network,
+        payer: ethers.getAddress(authorization.from),
+        value: authorization.value.toString(),
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash
+      };
+    } catch (error) {
+      if (error instanceof X402PaymentError) throw error;
+      throw new X402PaymentError('unexpected_settle_error', error.shortMessage || error.message);
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+}
@@ -0,0 +1,84 @@
+import { ethers } from 'ethers';
+
+// =============================================================================
+// x402 PAYMENT REQUIREMENTS - the protocol shape every `accepts` entry must have
+// =============================================================================
+//
+// PaidResources builds requirements; this module checks them against the
+// x402 v1 PaymentRequirements schema before they go out, and shapes the 402
+// body around them. A requirement that fails here is a configuration bug, so
+// registering a bad resource stops the server at startup instead of sending
+// clients something their x402 library rejects.
+
+export const X402_VERSION = 1;
+
+export class RequirementsError extends Error {
+  /**
+   * @param {string} resource - Resource URL or id the requirement was for
+   * @param {string[]} problems - One line per invalid field
+   */
+  constructor(resource, problems) {
+    super(`Invalid x402 payment requirements for ${resource}: ${problems.join('; ')}`);
+    this.name = 'RequirementsError';
+    this.problems = problems;
+  }
+}
+
+const UINT256_MAX = 2n ** 256n - 1n;
+
+// field -> check returning a problem, or null when the value is fine
+const FIELDS = {
+  scheme: (value) => /^[a-z][a-z0-9-]*$/.test(value ?? '') ? null : 'must be a scheme name like "exact"',
+  network: (value) => /^[a-z][a-z0-9-]*$/.test(value ?? '') ? null : 'must be an x402 network name like "base"',
+  maxAmountRequired: (value) => isUint256String(value) ? null : 'must be a uint256 as a decimal string',
+  resource: (value) => isHttpUrl(value) ? null : 'must be an absolute http(s) URL',
+  description: (value) => typeof value === 'string' ? null : 'must be a string',
+  mimeType: (value) => typeof value === 'string' ? null : 'must be a string',
+  payTo: (value) => ethers.isAddress(value) ? null : 'must be an address',
+  maxTimeoutSeconds: (value) => Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+  asset: (value) => ethers.isAddress(value) ? null : 'must be a token address',
+  outputSchema: (value) => value === undefined || isObject(value) ? null : 'must be an object when set',
+  extra: (value) => value === undefined || isObject(value) ? null : 'must be an object when set'
+};
+
+/**
+ * Throw RequirementsError unless `requirement` is a valid PaymentRequirements object
+ * @returns {object} The requirement, unchanged
+ */
+export function validatePaymentRequirements(requirement) {
+  const problems = Object.entries(FIELDS)
+    .map(([field, check]) => {
+      const problem = check(requirement[field]);
+      return problem && `${field} ${problem}`;
+    })
+    .filter(Boolean);
+
+  if (problems.length) {
+    throw new RequirementsError(requirement.resource || 'unknown resource', problems);
+  }
+  return requirement;
+}
+
+/**
+ * Body of a 402 response
+ */
+export function paymentRequiredBody(accepts, error = 'Payment required', message) {
+  return { x402Version: X402_VERSION, error, message, accepts };
+}
+
+function isUint256String(value) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return false;
+  return BigInt(value) <= UINT256_MAX;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
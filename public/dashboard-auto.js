@@ -1,7 +1,10 @@
 const API_URL = window.location.origin;
 let currentPaymentId = null;
 let statusCheckInterval = null;
+let paymentStream = null;
+let statsInterval = null;
 let userWalletAddress = null;
+let activeNetwork = null; // Chain the server mints on, from /api/info
 
 // Show alert
 function showAlert(message, type = 'info') {
@@ -18,6 +21,20 @@ async function loadServiceInfo() {
         const data = await response.json();
 
         document.getElementById('paymentAddress').textContent = data.payment.address;
+
+        activeNetwork = data.network;
+        document.querySelectorAll('.network-name').forEach((el) => { el.textContent = data.network.name; });
+        document.getElementById('networkChainId').textContent = data.network.chainId;
+        if (data.network.explorer) {
+            const explorerLink = document.getElementById('networkExplorer');
+            explorerLink.href = data.network.explorer;
+            explorerLink.textContent = new URL(data.network.explorer).hostname;
+        }
+
+        document.querySelectorAll('.mint-price').forEach((el) => { el.textContent = data.payment.amount; });
+        document.querySelectorAll('.tokens-per-mint').forEach((el) => {
+            el.textContent = Number(data.contract.tokensPerMint).toLocaleString();
+        });
         
         if (data.contract.address && data.contract.address !== 'Not deployed') {
             const shortAddr = data.contract.address.slice(0, 10) + '...' + data.contract.address.slice(-8);
@@ -42,20 +59,47 @@ async function loadStats() {
             return;
         }
 
-        document.getElementById('totalMints').textContent = data.totalMints;
-        document.getElementById('remainingMints').textContent = data.remainingMints;
         document.getElementById('price').textContent = `${data.price.usdc} USDC`;
-
-        const progress = (data.totalMints / data.maxMints * 100).toFixed(1);
-        const progressBar = document.getElementById('progressBar');
-        progressBar.style.width = progress + '%';
-        progressBar.textContent = progress + '%';
+        renderStats(data);
 
     } catch (error) {
         console.error('Error loading stats:', error);
     }
 }
 
+function renderStats(data) {
+    document.getElementById('totalMints').textContent = data.totalMints;
+    document.getElementById('remainingMints').textContent = data.remainingMints;
+
+    const progress = (data.totalMints / data.maxMints * 100).toFixed(1);
+    const progressBar = document.getElementById('progressBar');
+    progressBar.style.width = progress + '%';
+    progressBar.textContent = progress + '%';
+}
+
+// Live stats over the event stream; poll every 30 seconds if it's unavailable
+function startStatsUpdates() {
+    const fallBackToPolling = () => {
+        if (!statsInterval) {
+            statsInterval = setInterval(loadStats, 30000);
+        }
+    };
+
+    if (typeof EventSource === 'undefined') {
+        fallBackToPolling();
+        return;
+    }
+
+    const stream = new EventSource(`${API_URL}/api/events`);
+    stream.addEventListener('stats', (event) => renderStats(JSON.parse(event.data)));
+    stream.addEventListener('open', () => {
+        clearInterval(statsInterval);
+        statsInterval = null;
+    });
+    // Poll while the browser retries the connection
+    stream.addEventListener('error', fallBackToPolling);
+}
+
 // Connect wallet
 async function connectWallet() {
     if (typeof window.ethereum === 'undefined') {
@@ -70,24 +114,30 @@ async function connectWallet() {
         document.getElementById('walletAddress').value = userWalletAddress;
         showAlert('Wallet connected! ' + userWalletAddress.slice(0, 10) + '...', 'success');
         
-        // Switch to Base
-        try {
-            await ethereum.request({
-                method: 'wallet_switchEthereumChain',
-                params: [{ chainId: '0x2105' }],
-            });
-        } catch (error) {
-            if (error.code === 4902) {
+        // Switch to the server's network
+        if (!activeNetwork) {
+            await loadServiceInfo();
+        }
+        if (activeNetwork) {
+            const chainId = '0x' + activeNetwork.chainId.toString(16);
+            try {
                 await ethereum.request({
-                    method: 'wallet_addEthereumChain',
-                    params: [{
-                        chainId: '0x2105',
-                        chainName: 'Base Mainnet',
-                        nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-                        rpcUrls: ['https://mainnet.base.org'],
-                        blockExplorerUrls: ['https://basescan.org']
-                    }]
+                    method: 'wallet_switchEthereumChain',
+                    params: [{ chainId }],
                 });
+            } catch (error) {
+                if (error.code === 4902) {
+                    await ethereum.request({
+                        method: 'wallet_addEthereumChain',
+                        params: [{
+                            chainId,
+                            chainName: activeNetwork.name,
+                            nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+                            rpcUrls: [activeNetwork.rpcUrl],
+                            blockExplorerUrls: activeNetwork.explorer ? [activeNetwork.explorer] : undefined
+                        }]
+                    });
+                }
             }
         }
 
@@ -113,7 +163,7 @@ async function checkPendingPayment(address) {
             if (data.status === 'waiting_for_payment') {
                 // Show modal with instructions
                 document.getElementById('paymentModal').classList.add('show');
-            } else if (data.status === 'payment_received') {
+            } else if (['payment_received', 'confirming', 'minting'].includes(data.status)) {
                 showAlert('Payment received! Minting your tokens...', 'success');
                 startStatusCheck(data.paymentId);
             }
@@ -168,9 +218,9 @@ async function mintDirectly() {
         ];
         const usdcContract = new ethers.Contract(usdcAddress, usdcABI, signer);
 
-        // Send 1 USDC directly to payment address
-        showAlert('Sending 1 USDC... Please confirm in MetaMask', 'info');
-        const amount = ethers.utils.parseUnits('1', 6); // 1 USDC (6 decimals)
+        // Send one mint's price directly to payment address
+        showAlert(`Sending ${info.payment.amount} USDC... Please confirm in MetaMask`, 'info');
+        const amount = ethers.utils.parseUnits(info.payment.amount, 6); // USDC has 6 decimals
         const tx = await usdcContract.transfer(paymentAddress, amount);
         
         showAlert('USDC sent! Waiting for confirmation...', 'info');
@@ -178,8 +228,10 @@ async function mintDirectly() {
         
         showAlert('🎉 SUCCESS! Payment confirmed! Tokens will be minted automatically in 30-60 seconds. TX: ' + receipt.transactionHash.slice(0, 10) + '...', 'success');
         
-        // Show BaseScan link
-        console.log('View transaction: https://basescan.org/tx/' + receipt.transactionHash);
+        // Show explorer link
+        if (info.network.explorer) {
+            console.log(`View transaction: ${info.network.explorer}/tx/${receipt.transactionHash}`);
+        }
         
         // Refresh stats
         loadStats();
@@ -232,17 +284,20 @@ async function getPaymentInstructions() {
             currentPaymentId = data.paymentId;
 
             // Show modal with payment info
+            document.getElementById('modalPaymentAmount').textContent = data.payment.amount;
             document.getElementById('modalPaymentAddress').textContent = data.payment.usdc.address;
             document.getElementById('modalPaymentId').textContent = data.paymentId;
             document.getElementById('paymentModal').classList.add('show');
             
-            showAlert('Send 1 USDC to the address shown. We will detect it automatically!', 'info');
+            showAlert(`Send exactly ${data.payment.amount} USDC to the address shown. We will detect it automatically!`, 'info');
 
             // Start checking status
             startStatusCheck(data.paymentId);
 
         } else {
-            throw new Error('Failed to create payment request');
+            // 403 (mint phase / allowlist / cap) and 429 (rate limit) explain themselves
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || 'Failed to create payment request');
         }
 
     } catch (error) {
@@ -251,12 +306,48 @@ async function getPaymentInstructions() {
     }
 }
 
-// Start checking payment status
-function startStatusCheck(paymentId) {
+// Stop following a payment (stream and polling)
+function stopStatusCheck() {
+    if (paymentStream) {
+        paymentStream.close();
+        paymentStream = null;
+    }
     if (statusCheckInterval) {
         clearInterval(statusCheckInterval);
+        statusCheckInterval = null;
     }
+}
 
+// Follow a payment over the event stream, falling back to polling when the
+// stream is unavailable
+function startStatusCheck(paymentId) {
+    stopStatusCheck();
+
+    if (typeof EventSource === 'undefined') {
+        startStatusPolling(paymentId);
+        return;
+    }
+
+    let opened = false;
+    paymentStream = new EventSource(`${API_URL}/api/events?paymentId=${encodeURIComponent(paymentId)}`);
+
+    paymentStream.addEventListener('open', () => {
+        opened = true;
+    });
+    paymentStream.addEventListener('status', (event) => {
+        handlePaymentStatus(JSON.parse(event.data));
+    });
+    paymentStream.addEventListener('error', () => {
+        // Never connected, or the browser gave up reconnecting
+        if (!opened || paymentStream.readyState === EventSource.CLOSED) {
+            console.warn('Status stream unavailable, polling instead');
+            stopStatusCheck();
+            startStatusPolling(paymentId);
+        }
+    });
+}
+
+function startStatusPolling(paymentId) {
     let checkCount = 0;
     const maxChecks = 180; // 30 minutes / 10 seconds
 
@@ -265,41 +356,10 @@ function startStatusCheck(paymentId) {
 
         try {
             const response = await fetch(`${API_URL}/api/payment-status/${paymentId}`);
-            const status = await response.json();
-
-            if (!status.found) {
-                clearInterval(statusCheckInterval);
-                showAlert('Payment ID not found', 'error');
-                return;
-            }
+            handlePaymentStatus(await response.json());
 
-            console.log('Payment status:', status.status);
-
-            if (status.status === 'payment_received') {
-                showAlert('💰 Payment received! Minting your tokens...', 'success');
-            } else if (status.status === 'completed') {
-                clearInterval(statusCheckInterval);
-                document.getElementById('paymentModal').classList.remove('show');
-                
-                showAlert(
-                    `🎉 SUCCESS! 50,000 tokens minted! TX: ${status.mintTxHash.slice(0, 10)}...`,
-                    'success'
-                );
-                
-                loadStats();
-                
-                // Check balance
-                if (userWalletAddress) {
-                    setTimeout(() => checkBalance(userWalletAddress), 2000);
-                }
-            } else if (status.status === 'expired') {
-                clearInterval(statusCheckInterval);
-                showAlert('Payment window expired. Please try again.', 'error');
-                document.getElementById('paymentModal').classList.remove('show');
-            }
-
-            if (checkCount >= maxChecks) {
-                clearInterval(statusCheckInterval);
+            if (statusCheckInterval && checkCount >= maxChecks) {
+                stopStatusCheck();
                 showAlert('Status check timeout. Please refresh the page.', 'error');
             }
 
@@ -310,6 +370,60 @@ function startStatusCheck(paymentId) {
     }, 10000); // Check every 10 seconds
 }
 
+// Show a payment status update; stops following once the payment is done
+function handlePaymentStatus(status) {
+    if (!status.found) {
+        stopStatusCheck();
+        showAlert('Payment ID not found', 'error');
+        return;
+    }
+
+    console.log('Payment status:', status.status);
+
+    if (status.status === 'payment_received') {
+        showAlert('💰 Payment received! Minting your tokens...', 'success');
+    } else if (status.status === 'confirming') {
+        showAlert(`⏳ Payment confirming (${status.confirmations || 0}/${status.requiredConfirmations} blocks)...`, 'info');
+    } else if (status.status === 'mint_retrying') {
+        showAlert(`⏳ Network hiccup while minting - retrying automatically (attempt ${status.mintAttempts})...`, 'info');
+    } else if (status.status === 'mint_failed') {
+        showAlert('❌ Minting failed. Your payment will be refunded if it cannot be retried.', 'error');
+    } else if (status.status === 'held_for_review') {
+        showAlert('🔎 Your payment is being reviewed before minting. This page will update once it is cleared.', 'info');
+    } else if (status.status === 'late_payment') {
+        showAlert('⌛ Your payment arrived after the request expired. It will be refunded.', 'info');
+    } else if (['refund_pending', 'refund_pending_approval', 'refunding'].includes(status.status)) {
+        showAlert(`↩️ We couldn't mint for this payment (${status.refundReason}). Refunding ${status.refundAmount} USDC...`, 'info');
+    } else if (status.status === 'refunded') {
+        stopStatusCheck();
+        document.getElementById('paymentModal').classList.remove('show');
+        showAlert(`↩️ ${status.refundAmount} USDC refunded to ${status.refundTo.slice(0, 10)}... TX: ${status.refundTxHash.slice(0, 10)}...`, 'info');
+    } else if (status.status === 'cancelled') {
+        stopStatusCheck();
+        showAlert('Payment was dropped from the chain (reorg). Please check your wallet and try again.', 'error');
+        document.getElementById('paymentModal').classList.remove('show');
+    } else if (status.status === 'completed') {
+        stopStatusCheck();
+        document.getElementById('paymentModal').classList.remove('show');
+        
+        showAlert(
+            `🎉 SUCCESS! ${status.tokensMinted.toLocaleString()} tokens minted! TX: ${status.mintTxHash.slice(0, 10)}...`,
+            'success'
+        );
+        
+        loadStats();
+        
+        // Check balance
+        if (userWalletAddress) {
+            setTimeout(() => checkBalance(userWalletAddress), 2000);
+        }
+    } else if (status.status === 'expired') {
+        stopStatusCheck();
+        showAlert('Payment window expired. Please try again.', 'error');
+        document.getElementById('paymentModal').classList.remove('show');
+    }
+}
+
 // Check balance
 async function checkBalance(address) {
     if (!address) {
@@ -352,15 +466,13 @@ document.getElementById('getMintInstructions').addEventListener('click', getPaym
 document.getElementById('checkBalance').addEventListener('click', () => checkBalance());
 document.getElementById('closeModal').addEventListener('click', () => {
     document.getElementById('paymentModal').classList.remove('show');
-    if (statusCheckInterval) {
-        clearInterval(statusCheckInterval);
-    }
+    stopStatusCheck();
 });
 
 // Initialize
 loadServiceInfo();
 loadStats();
-setInterval(loadStats, 30000); // Refresh every 30 seconds
+startStatsUpdates();
 
 // Auto-connect if MetaMask is available
 if (typeof window.ethereum !== 'undefined') {
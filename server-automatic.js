@@ -2,49 +2,295 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { ethers } from 'ethers';
+import { PaymentLedger, transferKey } from './lib/payment-ledger.js';
+import { X402ExactFacilitator, decodePaymentHeader, encodePaymentResponse } from './lib/x402-exact.js';
+import { RefundEngine } from './lib/refund-engine.js';
+import { TransactionManager, TX_PENDING } from './lib/tx-manager.js';
+import { AuditLog } from './lib/audit-log.js';
+import { WebhookDispatcher, WEBHOOK_EVENTS, assertWebhookUrl } from './lib/webhooks.js';
+import { EventStream, EventStreamFullError } from './lib/event-stream.js';
+import { loadMintConfig, formatUsdc } from './lib/mint-config.js';
+import { NETWORKS, resolveNetworks, paymentNetwork, explorerUrl } from './lib/networks.js';
+import { PaymentAssets, paymentAsset } from './lib/payment-assets.js';
+import { PaidResources } from './lib/paid-resources.js';
+import { AccessReceipts, ReceiptError } from './lib/access-receipts.js';
+import { X402_VERSION, paymentRequiredBody } from './lib/x402-requirements.js';
+import { RateLimiter, RateLimitError } from './lib/rate-limiter.js';
+import { MintPhases, EligibilityError } from './lib/mint-phases.js';
+import { PriceSchedule } from './lib/pricing.js';
+import { PayerScreening } from './lib/screening.js';
+import { MetricsRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE, instrumentProvider } from './lib/metrics.js';
+import { assertTransition, describeState, isTerminalState } from './lib/payment-states.js';
+import { logger, configureLogger } from './lib/logger.js';
 
 dotenv.config();
 
+// Logs are JSON lines (LOG_FORMAT=pretty for a readable local console) at
+// LOG_LEVEL and up: debug, info, warn, error (see lib/logger.js)
+try {
+  configureLogger({ level: process.env.LOG_LEVEL || 'info', format: process.env.LOG_FORMAT || 'json' });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+const log = logger.child({ component: 'server' });
+
 // =============================================================================
 // DEBUG: Check environment variables on startup
 // =============================================================================
-console.log('🔍 Environment Variables Check:');
-console.log('CONTRACT_ADDRESS:', process.env.CONTRACT_ADDRESS || '❌ MISSING');
-console.log('USDC_PAYMENT_ADDRESS:', process.env.USDC_PAYMENT_ADDRESS || '❌ MISSING');
-console.log('PRIVATE_KEY:', process.env.PRIVATE_KEY ? '✅ Loaded' : '❌ MISSING');
-console.log('BASE_RPC_URL:', process.env.BASE_RPC_URL ? '✅ Loaded' : '⚠️  Using default');
-console.log('');
+log.info('Environment check', {
+  CONTRACT_ADDRESS: process.env.CONTRACT_ADDRESS || 'MISSING',
+  USDC_PAYMENT_ADDRESS: process.env.USDC_PAYMENT_ADDRESS || 'MISSING',
+  PRIVATE_KEY: process.env.PRIVATE_KEY ? 'loaded' : 'MISSING',
+  BASE_RPC_URL: process.env.BASE_RPC_URL ? 'loaded' : 'using default'
+});
+
+// Public URL: behind Railway or another proxy the client's scheme and IP come
+// in X-Forwarded-* headers. TRUST_PROXY is Express's `trust proxy` setting - a
+// hop count, true/false, or trusted subnets ("loopback, 10.0.0.0/8"). Off by
+// default: without a proxy in front, clients could set X-Forwarded-For and
+// dodge the per-IP limits. PUBLIC_BASE_URL pins the URL used in payment
+// requirements and links instead.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY ?? 'false');
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+if (PUBLIC_BASE_URL && !/^https?:\/\/[^/]+$/.test(PUBLIC_BASE_URL)) {
+  log.error('PUBLIC_BASE_URL must be an http(s) origin like https://x402.rocks', { PUBLIC_BASE_URL });
+  process.exit(1);
+}
+
+function parseTrustProxy(raw) {
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  if (/^\d+$/.test(raw)) return Number(raw);
+  return raw;
+}
+
+/**
+ * Base URL clients reach us at, as seen through any trusted proxy
+ */
+function baseUrlFor(req) {
+  return PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
 
 const app = express();
-app.use(cors());
+app.set('trust proxy', TRUST_PROXY);
+app.use(cors({ exposedHeaders: ['X-PAYMENT-RESPONSE', 'X-Access-Receipt', 'X-Receipt-Uses-Remaining'] }));
 app.use(express.json());
-app.use(express.static('public'));
+// "/" has its own route so x402 clients probing it get a 402
+app.use(express.static('public', { index: false }));
 
 // =============================================================================
-// BASE MAINNET + USDC CONFIGURATION
+// NETWORK + USDC CONFIGURATION
 // =============================================================================
 
-const BASE_CONFIG = {
-  chainId: 8453,
-  name: 'Base Mainnet',
-  rpcUrl: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
-  explorer: 'https://basescan.org',
-  usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'
-};
+// NETWORK is where the contract lives and mints happen; WATCH_NETWORKS adds
+// other networks to take USDC payments on (see lib/networks.js)
+let NETWORK, WATCHED_NETWORKS;
+try {
+  ({ active: NETWORK, watched: WATCHED_NETWORKS } = resolveNetworks(process.env));
+} catch (error) {
+  log.error('Invalid network configuration', { error: error.message });
+  process.exit(1);
+}
 
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || '';
 const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
 const USDC_PAYMENT_ADDRESS = process.env.USDC_PAYMENT_ADDRESS || '';
-const USDC_ADDRESS = BASE_CONFIG.usdcAddress;
+const USDC_ADDRESS = NETWORK.usdcAddress;
+// Where a payment may be sent - the same amount to the same address counts on any of them
+const ACCEPTED_NETWORKS = WATCHED_NETWORKS.map((network) => ({
+  network: network.key,
+  name: network.name,
+  chainId: network.chainId,
+  tokenAddress: network.usdcAddress
+}));
+const LEDGER_FILE = process.env.LEDGER_FILE || './data/payments.jsonl';
+
+// Other assets a mint can be paid with (see lib/payment-assets.js). USDC is
+// always accepted; the rest are converted at ASSET_PRICES ("ETH:3150,DAI:1")
+// or at prices set through the admin API, which persist to ASSET_PRICES_FILE.
+let assets;
+try {
+  assets = new PaymentAssets({
+    accepted: (process.env.PAYMENT_ASSETS || 'USDC').split(',').map((symbol) => symbol.trim()).filter(Boolean),
+    networks: WATCHED_NETWORKS,
+    prices: process.env.ASSET_PRICES || '',
+    pricesFile: process.env.ASSET_PRICES_FILE || './data/asset-prices.json',
+    env: process.env
+  });
+} catch (error) {
+  log.error('Invalid payment assets', { error: error.message });
+  process.exit(1);
+}
+
+
+// Block scanning: how many blocks per eth_getLogs call (Alchemy free tier caps
+// the range at 10). Where to start without a cursor is set per network.
+const SCAN_CHUNK_SIZE = parseInt(process.env.SCAN_CHUNK_SIZE || '10', 10);
+
+// Mint batching: queued payments are grouped into one batchMintTo tx of at most
+// MINT_BATCH_SIZE units. A batch is sent once full, or once its oldest payment
+// has waited MINT_BATCH_MAX_WAIT_MS (0 = send right away)
+const MINT_BATCH_SIZE = parseInt(process.env.MINT_BATCH_SIZE || process.env.MAX_UNITS_PER_MINT_TX || '50', 10);
+const MINT_BATCH_MAX_WAIT_MS = parseInt(process.env.MINT_BATCH_MAX_WAIT_MS || '5000', 10);
+
+// Server-sent transactions: fee caps (gwei, unset = follow the network), when a
+// pending tx counts as stuck and gets re-sent with higher fees, how long send()
+// waits on it before handing it back, and how often a mint that hit a
+// temporary error is retried (with exponential backoff)
+const TX_MAX_FEE_GWEI = process.env.TX_MAX_FEE_GWEI || '';
+const TX_MAX_PRIORITY_FEE_GWEI = process.env.TX_MAX_PRIORITY_FEE_GWEI || '';
+const TX_STUCK_TIMEOUT_SECONDS = parseInt(process.env.TX_STUCK_TIMEOUT_SECONDS || '90', 10);
+const TX_FEE_BUMP_PERCENT = parseInt(process.env.TX_FEE_BUMP_PERCENT || '25', 10);
+const TX_MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS || '5', 10);
+const TX_MAX_PENDING_SECONDS = parseInt(process.env.TX_MAX_PENDING_SECONDS || '600', 10);
+const MINT_MAX_ATTEMPTS = parseInt(process.env.MINT_MAX_ATTEMPTS || '5', 10);
+const MINT_RETRY_BASE_SECONDS = parseInt(process.env.MINT_RETRY_BASE_SECONDS || '15', 10);
+const MINT_RETRY_MAX_SECONDS = 15 * 60;
+
+// Refunds: the key that controls USDC_PAYMENT_ADDRESS sends USDC back for
+// payments we can't fulfil. Large refunds wait for an admin to approve them.
+const REFUND_PRIVATE_KEY = process.env.REFUND_PRIVATE_KEY || '';
+const REFUND_APPROVAL_THRESHOLD_USDC = process.env.REFUND_APPROVAL_THRESHOLD_USDC || '50';
+const REFUND_FAILED_GRACE_MINUTES = parseInt(process.env.REFUND_FAILED_GRACE_MINUTES || '10', 10);
+const REFUND_STUCK_PAYMENT_HOURS = parseInt(process.env.REFUND_STUCK_PAYMENT_HOURS || '24', 10);
+const REFUND_MAX_ATTEMPTS = parseInt(process.env.REFUND_MAX_ATTEMPTS || '5', 10);
+const REFUND_RETRY_BASE_SECONDS = parseInt(process.env.REFUND_RETRY_BASE_SECONDS || '60', 10);
+const REFUND_RETRY_MAX_SECONDS = 60 * 60;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+
+// Admin API: callers authenticate with X-Admin-Key, or by signing the request
+// with a wallet in ADMIN_ADDRESSES. Every admin action lands in the audit log.
+const ADMIN_ADDRESSES = (process.env.ADMIN_ADDRESSES || '')
+  .split(',')
+  .map((address) => address.trim().toLowerCase())
+  .filter(Boolean);
+const ADMIN_SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.ADMIN_SIGNATURE_MAX_AGE_SECONDS || '300', 10);
+const ADMIN_AUDIT_LOG_FILE = process.env.ADMIN_AUDIT_LOG_FILE || './data/admin-audit.jsonl';
+
+// Every payment status change, with the tx hashes and reason behind it, is
+// appended here - GET /api/admin/audit/payments answers "what happened to my
+// mint" by payment id, tx hash or address
+const PAYMENT_AUDIT_LOG_FILE = process.env.PAYMENT_AUDIT_LOG_FILE || './data/payment-audit.jsonl';
+
+// The JSONL logs (admin, payment, screening, webhook deliveries) rotate once a
+// file reaches AUDIT_LOG_MAX_MB, keeping AUDIT_LOG_KEEP_FILES old ones
+const AUDIT_LOG_OPTIONS = {
+  maxBytes: parseFloat(process.env.AUDIT_LOG_MAX_MB || '50') * 1024 * 1024,
+  keepFiles: parseInt(process.env.AUDIT_LOG_KEEP_FILES || '5', 10)
+};
+
+// Payment request lifecycle: how long a request waits for payment, what
+// happens to payments that arrive after that ('fulfill' mints anyway,
+// 'refund' sends the USDC back), and how long finished records stay in memory
+const PAYMENT_REQUEST_TTL_MINUTES = parseInt(process.env.PAYMENT_REQUEST_TTL_MINUTES || '30', 10);
+const LATE_PAYMENT_POLICY = process.env.LATE_PAYMENT_POLICY === 'refund' ? 'refund' : 'fulfill';
+const PAYMENT_RETENTION_HOURS = parseFloat(process.env.PAYMENT_RETENTION_HOURS || '72');
+
+// Abuse limits for unpaid requests (/api/request-mint, /api/payai-mint):
+// requests per IP and per recipient address each RATE_LIMIT_WINDOW_SECONDS,
+// open requests per address, and the most payment records kept in memory.
+// At that bound the oldest finished records are pruned early; if every slot
+// is an open request, new unpaid requests get 429 until one expires.
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60', 10);
+const RATE_LIMIT_PER_IP = parseInt(process.env.RATE_LIMIT_PER_IP || '20', 10);
+const RATE_LIMIT_PER_ADDRESS = parseInt(process.env.RATE_LIMIT_PER_ADDRESS || '10', 10);
+const MAX_OPEN_REQUESTS_PER_ADDRESS = parseInt(process.env.MAX_OPEN_REQUESTS_PER_ADDRESS || '5', 10);
+const MAX_TRACKED_PAYMENTS = parseInt(process.env.MAX_TRACKED_PAYMENTS || '10000', 10);
+
+// Open /api/events streams, in all and per client IP (0 = no cap). Past
+// either, new streams get 503 / 429 until one closes.
+const SSE_MAX_CONNECTIONS = parseInt(process.env.SSE_MAX_CONNECTIONS || '1000', 10);
+const SSE_MAX_PER_IP = parseInt(process.env.SSE_MAX_PER_IP || '10', 10);
+
+// Webhooks: signed POSTs for lifecycle events to a request's callbackUrl and
+// to global hooks (WEBHOOK_URLS or registered via the admin API). Disabled
+// without WEBHOOK_SECRET.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '').split(',').map((url) => url.trim()).filter(Boolean);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '5', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const WEBHOOK_LOG_FILE = process.env.WEBHOOK_LOG_FILE || './data/webhook-deliveries.jsonl';
+const WEBHOOKS_FILE = process.env.WEBHOOKS_FILE || './data/webhooks.json';
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Access receipts: a paid resource (e.g. /signal) hands out a signed receipt
+// that fetches it again for RECEIPT_TTL_SECONDS, up to RECEIPT_MAX_USES times
+// (0 = unlimited). Without RECEIPT_SECRET a random key is used, so receipts
+// stop working when the server restarts.
+const RECEIPT_SECRET = process.env.RECEIPT_SECRET || '';
+const RECEIPT_TTL_SECONDS = parseInt(process.env.RECEIPT_TTL_SECONDS || '86400', 10);
+const RECEIPT_MAX_USES = parseInt(process.env.RECEIPT_MAX_USES || '10', 10);
+const RECEIPTS_FILE = process.env.RECEIPTS_FILE || './data/access-receipts.jsonl';
+const RECEIPT_CLAIM_MAX_AGE_SECONDS = 300;
+
+// Metrics: GET /metrics in the Prometheus text format. With METRICS_TOKEN set
+// scrapers must send `Authorization: Bearer <token>`.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const MINTER_BALANCE_REFRESH_SECONDS = 60;
+
+// Payments that match no request: mint to the sender (default), or hold them
+// as `unmatched` until an admin attaches them to a request or they are refunded
+const AUTO_MINT_UNMATCHED = process.env.AUTO_MINT_UNMATCHED !== 'false';
+
+// Payment correlation: each request's amount carries a unique 1-9999 micro-USDC
+// tag (e.g. 1.000137 USDC) so a transfer from any wallet - an exchange, a Safe -
+// can be tied to the request that named the recipient
+const PAYMENT_TAG_MODULUS = 10000;
+const MAX_UNITS_PER_REQUEST = parseInt(process.env.MAX_UNITS_PER_REQUEST || '100', 10);
+
+// Mint phases: allowlist and public windows with per-address caps, from
+// MINT_PHASES_FILE (see lib/mint-phases.js). Without it minting is open to
+// everyone, up to MAX_MINTS_PER_ADDRESS mints per address (0 = no cap).
+let phases;
+try {
+  phases = new MintPhases({
+    filePath: process.env.MINT_PHASES_FILE || '',
+    maxPerAddress: parseInt(process.env.MAX_MINTS_PER_ADDRESS || '0', 10)
+  });
+} catch (error) {
+  log.error('Invalid mint phases', { error: error.message });
+  process.exit(1);
+}
+
+// Payer screening: payments whose payer or recipient is on the blocklist in
+// SCREENING_LIST_FILE (see lib/screening.js) are held as `held_for_review`
+// until an admin releases or refunds them. Every decision is logged to
+// SCREENING_LOG_FILE. Without a list nothing is screened.
+let screening = null;
+if (process.env.SCREENING_LIST_FILE) {
+  try {
+    screening = new PayerScreening({
+      filePath: process.env.SCREENING_LIST_FILE,
+      logFile: process.env.SCREENING_LOG_FILE || './data/screening.jsonl',
+      logOptions: AUDIT_LOG_OPTIONS
+    });
+    screening.watch();
+    log.info('Screening payers against the blocklist', { entries: screening.entries.size, version: screening.version });
+  } catch (error) {
+    log.error('Invalid screening list', { error: error.message });
+    process.exit(1);
+  }
+}
+
+// Consecutive checks a payment's receipt may be missing before we call it reorged
+const REORG_MISS_LIMIT = 2;
 
 // Contract ABIs
 const CONTRACT_ABI = [
   'function mint() external',
   'function mintTo(address recipient) external',
+  'function batchMintTo(address[] recipients) external',
   'function totalMints() external view returns (uint256)',
   'function remainingMints() external view returns (uint256)',
   'function USDC_PRICE() external view returns (uint256)',
+  'function TOKENS_PER_MINT() external view returns (uint256)',
+  'function MAX_MINTS() external view returns (uint256)',
+  'function symbol() external view returns (string)',
+  'function decimals() external view returns (uint8)',
   'function balanceOf(address account) external view returns (uint256)',
   'function mintsPerAddress(address account) external view returns (uint256)',
   'event TokensMinted(address indexed recipient, uint256 tokenAmount, uint256 usdcPaid, uint256 mintNumber)'
@@ -52,6 +298,9 @@ const CONTRACT_ABI = [
 
 const USDC_ABI = [
   'function balanceOf(address account) external view returns (uint256)',
+  'function transfer(address to, uint256 amount) external returns (bool)',
+  'function authorizationState(address authorizer, bytes32 nonce) external view returns (bool)',
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s) external',
   'event Transfer(address indexed from, address indexed to, uint256 value)'
 ];
 
@@ -59,336 +308,2101 @@ const USDC_ABI = [
 let provider, wallet, contract, usdcContract;
 
 try {
-  provider = new ethers.JsonRpcProvider(BASE_CONFIG.rpcUrl);
+  provider = new ethers.JsonRpcProvider(NETWORK.rpcUrl);
   
   if (PRIVATE_KEY && PRIVATE_KEY.length === 66) {
     wallet = new ethers.Wallet(PRIVATE_KEY, provider);
     
     if (CONTRACT_ADDRESS) {
       contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet);
-      usdcContract = new ethers.Contract(BASE_CONFIG.usdcAddress, USDC_ABI, provider);
+      usdcContract = new ethers.Contract(NETWORK.usdcAddress, USDC_ABI, provider);
+    }
+  }
+} catch (error) {
+  log.warn('Contract not initialized', { error: error.message });
+}
+
+// Read access to every watched network; the active one shares `provider`
+const chains = new Map(WATCHED_NETWORKS.map((network) => [network.key, {
+  network,
+  provider: network.key === NETWORK.key ? provider : new ethers.JsonRpcProvider(network.rpcUrl)
+}]));
+
+// =============================================================================
+// METRICS
+// =============================================================================
+//
+// Counters and histograms are updated where things happen; the gauges read
+// the monitor's state when /metrics is scraped.
+const metrics = new MetricsRegistry('x402rocks_');
+
+const rpcMetrics = {
+  requests: metrics.histogram('rpc_request_duration_seconds', 'JSON-RPC call latency', ['network', 'method']),
+  errors: metrics.counter('rpc_errors_total', 'JSON-RPC calls that failed, by ethers error code', ['network', 'method', 'code'])
+};
+for (const { network, provider: chainProvider } of chains.values()) {
+  instrumentProvider(chainProvider, { network: network.key }, rpcMetrics);
+}
+
+const paymentsDetected = metrics.counter(
+  'payments_detected_total',
+  'Payments seen on-chain or settled via x402, by what became of them',
+  ['network', 'asset', 'outcome']
+);
+const mintFailures = metrics.counter(
+  'mint_failures_total',
+  'Failed mint attempts by ethers error code; final="true" when the payment became mint_failed',
+  ['reason', 'final']
+);
+const mintLatency = metrics.histogram(
+  'mint_latency_seconds',
+  'Time from payment to completed mint',
+  [],
+  [5, 15, 30, 60, 120, 300, 600, 1800, 3600, 21600]
+);
+const minterBalance = metrics.gauge('minter_balance_eth', 'ETH balance of the minter wallet (gas)');
+
+metrics.gauge('mint_queue_depth', 'Payments waiting in the mint queue', [], (gauge) => {
+  gauge.set({}, monitor.mintQueue.length);
+});
+metrics.gauge('mint_queue_units', 'Mints owed to the payments in the mint queue', [], (gauge) => {
+  gauge.set({}, monitor.mintQueue.reduce((total, item) => {
+    const data = monitor.pendingMints.get(item.paymentId);
+    return total + (data ? Math.max(monitor.remainingUnits(data), 0) : 0);
+  }, 0));
+});
+metrics.gauge('mint_queue_paused', 'Whether an admin has paused the mint queue', [], (gauge) => {
+  gauge.set({}, monitor.mintQueuePaused ? 1 : 0);
+});
+metrics.gauge('payments', 'Payment records in memory by status', ['status'], (gauge) => {
+  gauge.reset();
+  const counts = new Map();
+  for (const data of monitor.pendingMints.values()) {
+    counts.set(data.status, (counts.get(data.status) || 0) + 1);
+  }
+  for (const [status, count] of counts) gauge.set({ status }, count);
+});
+metrics.gauge('last_scanned_block', 'Last block fully scanned for payments', ['network'], (gauge) => {
+  for (const watcher of monitor.watchers.values()) {
+    if (watcher.lastScannedBlock !== null) gauge.set({ network: watcher.network.key }, watcher.lastScannedBlock);
+  }
+});
+metrics.gauge('chain_head_block', 'Chain head at the last scan', ['network'], (gauge) => {
+  for (const watcher of monitor.watchers.values()) {
+    if (watcher.headBlock !== null) gauge.set({ network: watcher.network.key }, watcher.headBlock);
+  }
+});
+
+// Mint parameters: read from the contract, MINT_PRICE_USDC / TOKENS_PER_MINT /
+// MAX_MINTS override them. Every full mint price paid buys one mint ("unit"),
+// so the price must stay above the largest request tag.
+let mintConfig;
+try {
+  mintConfig = await loadMintConfig({ contract, env: process.env, minPrice: BigInt(PAYMENT_TAG_MODULUS) });
+} catch (error) {
+  log.error('Invalid mint configuration', { error: error.message });
+  process.exit(1);
+}
+
+const USDC_PER_MINT = mintConfig.price;
+const TOKENS_PER_MINT = mintConfig.tokensPerMint;
+const TOKENS_LABEL = `${TOKENS_PER_MINT.toLocaleString('en-US')} x402rocks tokens`;
+
+// Pricing schedule: tiers by mints sold, a bonding curve and time-boxed
+// discounts from PRICING_FILE (see lib/pricing.js); without it every mint
+// costs USDC_PER_MINT. Requests lock their quote until they expire.
+let pricing;
+try {
+  pricing = new PriceSchedule({
+    basePrice: USDC_PER_MINT,
+    minPrice: BigInt(PAYMENT_TAG_MODULUS),
+    filePath: process.env.PRICING_FILE || ''
+  });
+} catch (error) {
+  log.error('Invalid pricing schedule', { error: error.message });
+  process.exit(1);
+}
+
+// Mints sold so far, which the schedule prices by: the contract's totalMints
+// (refreshed after every mint and each minute) plus units paid for and not
+// minted yet, so a rush at a tier boundary doesn't all get the lower price
+const mintsSold = { onChain: 0, inFlight: () => 0 };
+
+async function refreshMintsSold() {
+  if (contract) mintsSold.onChain = Number(await contract.totalMints());
+}
+
+try {
+  await refreshMintsSold();
+} catch (error) {
+  // A tier or curve price depends on the count - don't guess it
+  if (pricing.tiers || pricing.curve) {
+    log.error("Pricing needs totalMints, which can't be read from the contract", { error: error.message });
+    process.exit(1);
+  }
+  log.warn('Could not read totalMints', { error: error.message });
+}
+
+/**
+ * Micro-USDC per mint for the next `units` mints
+ */
+function mintPrice(units = 1) {
+  return pricing.unitPrice(mintsSold.onChain + mintsSold.inFlight(), units);
+}
+
+/**
+ * Current price of one mint for display ("1.00 USDC")
+ */
+function priceLabel() {
+  return `${formatUsdc(mintPrice())} USDC`;
+}
+
+log.info('Mint configuration', {
+  tokensPerMint: TOKENS_PER_MINT,
+  price: priceLabel(),
+  maxMints: mintConfig.maxMints,
+  priceFrom: pricing.filePath ? 'PRICING_FILE' : mintConfig.sources.price
+});
+
+/**
+ * Transaction manager for a server wallet, with the configured fee policy
+ */
+function createTransactionManager(signer) {
+  return new TransactionManager({
+    wallet: signer,
+    maxFeePerGas: TX_MAX_FEE_GWEI ? ethers.parseUnits(TX_MAX_FEE_GWEI, 'gwei') : null,
+    maxPriorityFeePerGas: TX_MAX_PRIORITY_FEE_GWEI ? ethers.parseUnits(TX_MAX_PRIORITY_FEE_GWEI, 'gwei') : null,
+    feeBumpPercent: Math.max(TX_FEE_BUMP_PERCENT, 10),
+    stuckTimeoutMs: TX_STUCK_TIMEOUT_SECONDS * 1000,
+    maxReplacements: TX_MAX_REPLACEMENTS,
+    maxPendingMs: TX_MAX_PENDING_SECONDS * 1000
+  });
+}
+
+// Every tx from the minter wallet (mints, x402 settlements, refunds when it
+// controls the payment address) shares this manager and its nonce counter
+const minterTransactions = wallet ? createTransactionManager(wallet) : null;
+
+// Refund signer - must control the payment address. Falls back to the minter
+// wallet when that is the same account. Refunds are sent on the network the
+// payment came in on, so each watched network gets its own signer.
+const refundNetworks = new Map();
+
+try {
+  const refundWallet = REFUND_PRIVATE_KEY
+    ? new ethers.Wallet(REFUND_PRIVATE_KEY, provider)
+    : wallet;
+  const canRefund = refundWallet && usdcContract && USDC_PAYMENT_ADDRESS &&
+    refundWallet.address.toLowerCase() === USDC_PAYMENT_ADDRESS.toLowerCase();
+
+  for (const { network, provider: chainProvider } of chains.values()) {
+    let signer = null;
+    let transactions = null;
+
+    if (canRefund) {
+      signer = network.key === NETWORK.key ? refundWallet : refundWallet.connect(chainProvider);
+      transactions = signer === wallet ? minterTransactions : createTransactionManager(signer);
     }
+
+    refundNetworks.set(network.key, { provider: chainProvider, signer, transactions, confirmations: network.confirmations });
   }
 } catch (error) {
-  console.warn('⚠️  Contract not initialized:', error.message);
+  log.warn('Refund wallet not initialized', { error: error.message });
+}
+
+// x402 "exact" settlement - the minter wallet submits the payer's authorization
+const X402_NETWORK = NETWORK.x402Network;
+const facilitator = wallet && usdcContract
+  ? new X402ExactFacilitator({
+      usdc: usdcContract.connect(wallet),
+      transactions: minterTransactions,
+      chainId: NETWORK.chainId,
+      network: X402_NETWORK
+    })
+  : null;
+
+// =============================================================================
+// PAID RESOURCES
+// =============================================================================
+
+// What a payment can buy (see lib/paid-resources.js). A resource registered
+// with a `fulfill` handler gets its own paid route; its 402 requirements and
+// /api/info listing come from the registration.
+const resources = new PaidResources({
+  network: NETWORK,
+  payTo: USDC_PAYMENT_ADDRESS,
+  assets,
+  mintPrice
+});
+
+if (!RECEIPT_SECRET) {
+  log.warn('RECEIPT_SECRET is not set - access receipts will stop working on restart');
+}
+
+const receipts = new AccessReceipts({
+  secret: RECEIPT_SECRET || crypto.randomBytes(32).toString('hex'),
+  ttlSeconds: RECEIPT_TTL_SECONDS,
+  maxUses: RECEIPT_MAX_USES,
+  filePath: RECEIPTS_FILE
+});
+
+// Tokens. The mint itself is the fulfillment, so /api/request-mint keeps its own route.
+const mintResource = resources.register({
+  id: 'mint',
+  path: '/api/request-mint',
+  method: 'POST',
+  description: () => `Mint ${TOKENS_LABEL} by paying ${priceLabel()}`,
+  input: {
+    bodyType: 'json',
+    bodyFields: {
+      address: {
+        type: 'string',
+        required: true,
+        description: 'Ethereum address to receive tokens'
+      },
+      asset: {
+        type: 'string',
+        required: false,
+        description: `Asset to pay with: ${assets.symbols.join(', ')} (default USDC)`
+      }
+    }
+  },
+  extra: (baseUrl) => ({
+    service: 'x402rocks',
+    contractAddress: CONTRACT_ADDRESS,
+    chainId: NETWORK.chainId,
+    dashboardUrl: baseUrl,
+    infoUrl: `${baseUrl}/api/info`
+  })
+});
+
+/**
+ * Signal payload delivered to paying /signal clients
+ */
+function buildSignalData(paymentTxHash, userAddress) {
+  return {
+    signal: "BUY",
+    confidence: 0.95,
+    timestamp: Date.now(),
+    analysis: {
+      symbol: mintConfig.tokenSymbol,
+      price: "Bullish trend detected",
+      recommendation: "Strong buy signal",
+      marketCondition: "Favorable"
+    },
+    deliveredAt: Date.now(),
+    paymentTxHash: paymentTxHash,
+    userAddress: userAddress
+  };
 }
 
+// Trading signal. Also sent to anyone who pays by plain transfer, once their tokens are minted.
+resources.register({
+  id: 'signal',
+  path: '/signal',
+  description: () => `Get AI trading signal for ${priceLabel()} - auto-delivered after payment`,
+  output: {
+    type: 'object',
+    properties: {
+      signal: { type: 'string', description: 'BUY/SELL/HOLD' },
+      confidence: { type: 'number', description: '0-1 confidence score' },
+      timestamp: { type: 'number' },
+      analysis: { type: 'object' }
+    }
+  },
+  extra: (baseUrl) => ({
+    service: 'x402-Rocks',
+    price: priceLabel(),
+    delivery: 'automatic',
+    note: `Send ${priceLabel()} to payment address. ${TOKENS_PER_MINT} x402-Rocks delivered automatically within 60 seconds.`,
+    checkStatusUrl: `${baseUrl}/signal/status`
+  }),
+  fulfillsDirectPayments: true,
+  fulfill: ({ payment }) => buildSignalData(payment.txHash, payment.userAddress)
+});
+
 // =============================================================================
 // AUTOMATIC USDC PAYMENT MONITOR
 // =============================================================================
 
-class AutomaticUSDCMonitor {
+// Paid for, not fully minted yet
+const IN_FLIGHT_STATES = ['payment_received', 'confirming', 'minting', 'mint_retrying'];
+
+const monitorLog = logger.child({ component: 'monitor' });
+
+/**
+ * When a record reached its terminal state
+ */
+function finishedAtOf(data) {
+  return data.completedAt || data.refundedAt || data.cancelledAt || data.expiredAt || data.timestamp;
+}
+
+class AutomaticUSDCMonitor extends EventEmitter {
   constructor() {
-    this.pendingMints = new Map(); // paymentId -> { userAddress, timestamp, status }
-    this.processedTxHashes = new Set(); // Prevent duplicate processing
+    super();
+
+    // Rebuild state from the durable ledger so restarts don't lose payments
+    this.ledger = new PaymentLedger(LEDGER_FILE);
+    const state = this.ledger.load();
+    this.ledger.open(state);
+
+    this.pendingMints = state.payments; // paymentId -> { userAddress, timestamp, status }
+    this.processedTxHashes = state.processedTxHashes; // transferKey()s already handled - prevents duplicate processing
+    this.deliveries = state.deliveries; // paymentId -> { resourceId: delivered data }
+    // One watcher per network we take payments on, each with its own block cursor
+    this.watchers = new Map([...chains.values()].map(({ network, provider }) => [network.key, {
+      network,
+      provider,
+      lastScannedBlock: state.cursors.get(network.key) ?? null, // Last block fully scanned for transfers
+      headBlock: null, // Chain head at the last scan
+      isScanning: false,
+      active: false // Set once the RPC is confirmed to be on the right chain
+    }]));
     this.mintQueue = []; // Queue for minting
+    this.mintBatchTimer = null; // Fires when the oldest queued payment hits MINT_BATCH_MAX_WAIT_MS
+    this.mintQueuePaused = state.mintQueuePaused; // Set by an admin; survives restarts
     this.isProcessing = false;
-    this.usdcAddress = BASE_CONFIG.usdcAddress;
+    this.receiptMisses = new Map(); // paymentId -> consecutive missing-receipt checks
+    this.usdcAddress = NETWORK.usdcAddress;
     this.paymentAddress = USDC_PAYMENT_ADDRESS;
-    this.priceUSDC = '1.00';
-    
+
+    // A payment recorded before its tx marker must still count as processed
+    for (const data of this.pendingMints.values()) {
+      if (data.txHash && data.status !== 'cancelled') {
+        this.processedTxHashes.add(transferKey(data.txHash, data.paymentLogIndex));
+      }
+    }
+
+    monitorLog.info('Ledger loaded', { payments: this.pendingMints.size, processedTxs: this.processedTxHashes.size });
+    if (this.mintQueuePaused) {
+      monitorLog.warn('Mint queue is paused by an admin - POST /api/admin/queue/resume to restart it');
+    }
+
+    // Pick up anything that was in flight when the server stopped
+    if (contract) {
+      this.resumePendingMints();
+    }
+
     // Start monitoring if we have everything configured
     if (provider && usdcContract && this.paymentAddress) {
       this.startMonitoring();
     }
+
+    // Expire stale requests and prune finished ones (first run once listeners are attached)
+    setInterval(() => this.sweepLifecycle(), 60000);
+    setImmediate(() => this.sweepLifecycle());
   }
 
   generatePaymentId() {
     return crypto.randomBytes(16).toString('hex');
   }
 
-  createPaymentInstructions(req, userAddress) {
-    const paymentId = this.generatePaymentId();
-    const timestamp = Date.now();
+  /**
+   * Logger for lines about one payment: every line carries its paymentId and
+   * payment tx hash
+   */
+  paymentLog(paymentId, txHash = this.pendingMints.get(paymentId)?.txHash) {
+    return monitorLog.child({ paymentId, txHash });
+  }
 
-    // Store pending mint request
-    this.pendingMints.set(paymentId, {
-      userAddress: userAddress.toLowerCase(),
-      timestamp,
-      status: 'waiting_for_payment'
-    });
+  /**
+   * Store a new payment record and persist it to the ledger
+   */
+  createPayment(paymentId, data) {
+    this.makeRoom();
+    this.pendingMints.set(paymentId, data);
+    this.ledger.recordPayment(paymentId, data);
+    this.emit('status', { paymentId, status: data.status, previous: null, data });
+    this.emit('update', { paymentId, data });
+    return data;
+  }
+
+  /**
+   * Apply a status change / field update to a payment and persist it.
+   * Emits 'update' ({ paymentId, data }) for every change and 'status'
+   * ({ paymentId, status, previous, data }) when the status changes.
+   */
+  updatePayment(paymentId, patch) {
+    const data = this.pendingMints.get(paymentId);
+    if (!data) return null;
+
+    const previous = data.status;
+    if (patch.status) {
+      assertTransition(paymentId, previous, patch.status);
+    }
+    // How long a record has sat in its status (the refund engine's stuck check)
+    if (patch.status && patch.status !== previous) {
+      patch = { ...patch, statusChangedAt: Date.now() };
+    }
 
+    Object.assign(data, patch);
+    this.ledger.recordPayment(paymentId, patch);
+
+    if (patch.status && patch.status !== previous) {
+      this.emit('status', { paymentId, status: patch.status, previous, data });
+    }
+    this.emit('update', { paymentId, data });
+    return data;
+  }
+
+  /**
+   * Split a paid amount into whole mints and leftover credit, both in the
+   * payment's asset at `unitPrice` per mint. `usdcUnitPrice` is what one mint
+   * cost in USDC at that quote, which refunds are valued at.
+   */
+  quoteUnits(amount, unitPrice, usdcUnitPrice = unitPrice) {
     return {
-      version: '1.0',
-      paymentId: paymentId,
-      
-      resource: {
-        url: '/api/mint',
-        description: 'Mint 50,000 x402rocks tokens'
-      },
-      
-      payment: {
-        amount: this.priceUSDC,
-        currency: 'USDC',
-        method: 'usdc_automatic',
-        
-        usdc: {
-          token: 'USDC',
-          address: this.paymentAddress,
-          tokenAddress: this.usdcAddress,
-          network: 'Base Mainnet',
-          chainId: 8453,
-          amount: '1000000', // 1 USDC (6 decimals)
-          instructions: 'Send 1 USDC from your wallet. We will automatically detect your payment and mint tokens!',
-          note: 'No need to submit transaction hash - we monitor automatically!',
-          explorerUrl: `${BASE_CONFIG.explorer}/address/${this.paymentAddress}`
-        }
-      },
-      
-      monitoring: {
-        automatic: true,
-        checkInterval: '10 seconds',
-        timeout: '30 minutes',
-        statusEndpoint: `${req.protocol}://${req.get('host')}/api/payment-status/${paymentId}`
-      },
-      
-      expiresAt: timestamp + (30 * 60 * 1000),
-      
-      service: {
-        name: 'x402rocks Automatic USDC Minting',
-        url: `${req.protocol}://${req.get('host')}`,
-        contract: CONTRACT_ADDRESS || 'Not deployed'
-      }
+      amount: amount.toString(),
+      unitPrice: unitPrice.toString(),
+      usdcUnitPrice: usdcUnitPrice.toString(),
+      unitsPurchased: Number(amount / unitPrice),
+      creditRemainder: (amount % unitPrice).toString()
     };
   }
 
-  async startMonitoring() {
-    console.log('🔍 Starting automatic USDC payment monitoring...');
-    console.log(`📍 Monitoring address: ${this.paymentAddress}`);
-    
-    // Monitor for USDC Transfer events
-    const filter = {
-      address: this.usdcAddress,
-      topics: [
-        ethers.id('Transfer(address,address,uint256)'),
-        null, // from (any address)
-        ethers.zeroPadValue(this.paymentAddress, 32) // to (our payment address)
-      ]
+  /**
+   * Quote a payment of `amount` in `asset`: at the request's locked quote if
+   * it was paid in time, otherwise at the current price. Null if the asset has
+   * no price.
+   */
+  quoteFor(asset, amount, request, late) {
+    if (request?.unitPrice && paymentAsset(request) === asset && !late) {
+      return this.quoteUnits(amount, BigInt(request.unitPrice), BigInt(request.usdcUnitPrice ?? mintPrice()));
+    }
+    try {
+      return this.currentQuote(asset, amount);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Quote `amount` of `asset` at the current price: as many mints as it
+   * covers at the per-mint price of buying that many - the same price a
+   * request for those units is quoted - and the rest as credit. Tiered and
+   * curve pricing make later mints dearer, so the single-mint price would
+   * undercharge.
+   */
+  currentQuote(asset, amount) {
+    const priceOf = (units) => asset === 'USDC' ? mintPrice(units) : assets.quote(asset, mintPrice(units)).unitPrice;
+
+    // Most units the amount pays for in full; the total only grows with units
+    let units = 0;
+    let most = Math.min(Number(amount / priceOf(1)), mintConfig.maxMints);
+    while (units < most) {
+      const candidate = Math.ceil((units + most) / 2);
+      if (priceOf(candidate) * BigInt(candidate) <= amount) {
+        units = candidate;
+      } else {
+        most = candidate - 1;
+      }
+    }
+
+    const unitPrice = priceOf(Math.max(units, 1));
+    return {
+      amount: amount.toString(),
+      unitPrice: unitPrice.toString(),
+      usdcUnitPrice: mintPrice(Math.max(units, 1)).toString(),
+      unitsPurchased: units,
+      creditRemainder: (amount - unitPrice * BigInt(units)).toString()
     };
+  }
 
-    // Listen for new transfers
-    provider.on(filter, async (log) => {
-      await this.handleUSDCTransfer(log);
+  remainingUnits(data) {
+    return (data.unitsPurchased ?? 1) - (data.unitsMinted || 0);
+  }
+
+  /**
+   * Units paid for across all payments that haven't been minted yet
+   */
+  unitsInFlight() {
+    let units = 0;
+    for (const data of this.pendingMints.values()) {
+      if (IN_FLIGHT_STATES.includes(data.status)) units += Math.max(this.remainingUnits(data), 0);
+    }
+    return units;
+  }
+
+  /**
+   * Book units confirmed by a mint receipt. `offset` is the payment's first
+   * slot in the tx's recipient list, so its TokensMinted events can be picked
+   * out of a shared batch receipt.
+   */
+  recordMintedUnits(paymentId, units, receipt, offset = 0) {
+    const data = this.pendingMints.get(paymentId);
+    const events = this.mintEventsFromReceipt(receipt).slice(offset, offset + units);
+
+    if (events.length !== units || events.some((event) => event.args.recipient.toLowerCase() !== data.userAddress)) {
+      this.paymentLog(paymentId).warn("Mint receipt doesn't line up with the payment", {
+        mintTxHash: receipt.hash,
+        firstSlot: offset,
+        lastSlot: offset + units - 1
+      });
+    }
+
+    this.updatePayment(paymentId, {
+      unitsMinted: (data.unitsMinted || 0) + units,
+      mintTxHashes: [...(data.mintTxHashes || []), receipt.hash],
+      mintNumbers: [...(data.mintNumbers || []), ...events.map((event) => Number(event.args.mintNumber))],
+      pendingMintUnits: 0,
+      mintBlockNumber: receipt.blockNumber
     });
+  }
 
-    // Also poll for recent transfers every 15 seconds
-    setInterval(() => this.pollRecentTransfers(), 15000);
-    
-    // Initial check
-    this.pollRecentTransfers();
-    
-    console.log('✅ USDC payment monitoring active!');
+  /**
+   * TokensMinted events of a mint receipt, in recipient-list order
+   */
+  mintEventsFromReceipt(receipt) {
+    const events = [];
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== CONTRACT_ADDRESS.toLowerCase()) continue;
+
+      const event = contract.interface.parseLog(log);
+      if (event?.name === 'TokensMinted') {
+        events.push(event);
+      }
+    }
+
+    return events;
   }
 
-  async pollRecentTransfers() {
-    if (!provider || !this.paymentAddress) return;
+  /**
+   * Add a confirmed payment to the mint queue
+   */
+  enqueueMint(paymentId) {
+    this.mintQueue.push({ paymentId, queuedAt: Date.now() });
+  }
+
+  /**
+   * Expire requests nobody paid for in time, and drop finished records older
+   * than PAYMENT_RETENTION_HOURS from memory (they move to the ledger archive)
+   */
+  sweepLifecycle() {
+    const now = Date.now();
+    const retentionMs = PAYMENT_RETENTION_HOURS * 60 * 60 * 1000;
+    let expired = 0;
+    let pruned = 0;
 
     try {
-      const currentBlock = await provider.getBlockNumber();
-      
-      // ⚡ ALCHEMY FREE TIER FIX: Only scan 9 blocks at a time
-      const fromBlock = currentBlock - 9;
-
-      const filter = {
-        address: this.usdcAddress,
-        topics: [
-          ethers.id('Transfer(address,address,uint256)'),
-          null,
-          ethers.zeroPadValue(this.paymentAddress, 32)
-        ],
-        fromBlock: fromBlock,
-        toBlock: currentBlock // ✅ Use currentBlock instead of 'latest'
-      };
+      for (const [paymentId, data] of this.pendingMints.entries()) {
+        const expiresAt = data.expiresAt || data.timestamp + PAYMENT_REQUEST_TTL_MINUTES * 60 * 1000;
 
-      const logs = await provider.getLogs(filter);
-      
-      for (const log of logs) {
-        await this.handleUSDCTransfer(log);
+        if (data.status === 'waiting_for_payment' && now >= expiresAt) {
+          this.updatePayment(paymentId, { status: 'expired', expiredAt: now });
+          expired++;
+          continue;
+        }
+
+        if (isTerminalState(data.status) && now - finishedAtOf(data) >= retentionMs) {
+          this.pendingMints.delete(paymentId);
+          this.deliveries.delete(paymentId);
+          this.ledger.recordPruned(paymentId);
+          pruned++;
+        }
+      }
+
+      if (expired || pruned) {
+        monitorLog.info('Lifecycle sweep', { expired, pruned, tracked: this.pendingMints.size });
       }
     } catch (error) {
-      console.error('Error polling transfers:', error.message);
+      monitorLog.error('Error sweeping payment lifecycle', { error: error.message });
     }
   }
 
-  async handleUSDCTransfer(log) {
-    try {
-      const txHash = log.transactionHash;
+  /**
+   * Whether a transfer was handled: its own log, or the whole tx (claimed by
+   * an x402 settlement, or marked before transfers were kept per log)
+   */
+  isTxProcessed(txHash, logIndex) {
+    return this.processedTxHashes.has(transferKey(txHash, logIndex)) || this.processedTxHashes.has(txHash);
+  }
 
-      // Skip if already processed
-      if (this.processedTxHashes.has(txHash)) {
-        return;
-      }
+  /**
+   * Mark one Transfer log handled, or the whole tx without `logIndex`
+   */
+  markTxProcessed(txHash, logIndex) {
+    this.processedTxHashes.add(transferKey(txHash, logIndex));
+    this.ledger.recordProcessedTx(txHash, logIndex);
+  }
 
-      // Decode the transfer event
-      const iface = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
-      const decoded = iface.parseLog(log);
-      
-      const from = decoded.args.from.toLowerCase();
-      const to = decoded.args.to.toLowerCase();
-      const amount = decoded.args.value;
+  /**
+   * Forget a transfer (or whole tx) so it can be processed again
+   */
+  releaseTx(txHash, logIndex) {
+    this.processedTxHashes.delete(transferKey(txHash, logIndex));
+    this.ledger.recordTxReleased(txHash, logIndex);
+  }
 
-      // Verify it's to our address and amount is >= 1 USDC
-      if (to !== this.paymentAddress.toLowerCase() || amount < 1000000n) {
-        return;
-      }
+  /**
+   * Record a payment settled in-request via X-PAYMENT, with any request
+   * `fields` (callbackUrl, allowlistProof...). Called straight after the
+   * settlement, before anything else that could fail, so paid USDC always has
+   * a record. Minting then follows the normal confirmation path. `unitPrice`
+   * is the per-mint price the requirement was built from (default: the
+   * current price).
+   */
+  recordX402Payment(userAddress, settlement, resource, fields = {}, unitPrice = null) {
+    const paymentId = 'x402-' + crypto.randomBytes(8).toString('hex');
+    const timestamp = Date.now();
 
-      console.log('💰 USDC payment detected!', {
-        from,
-        amount: ethers.formatUnits(amount, 6),
-        txHash
-      });
+    const data = this.createPayment(paymentId, {
+      userAddress: userAddress.toLowerCase(),
+      timestamp,
+      ...fields,
+      status: 'payment_received',
+      txHash: settlement.transaction,
+      network: NETWORK.key,
+      asset: 'USDC',
+      paidAt: timestamp,
+      paymentBlockNumber: settlement.blockNumber,
+      paymentBlockHash: settlement.blockHash,
+      payer: settlement.payer.toLowerCase(),
+      resource,
+      phase: settlement.phase,
+      x402: true,
+      ...(unitPrice
+        ? this.quoteUnits(BigInt(settlement.value), unitPrice)
+        : this.currentQuote('USDC', BigInt(settlement.value)))
+    });
+
+    this.paymentLog(paymentId).info('x402 payment settled', { payer: data.payer, units: data.unitsPurchased, resource });
+    paymentsDetected.inc({ network: NETWORK.key, asset: 'USDC', outcome: 'x402' });
+    return paymentId;
+  }
+
+  /**
+   * Store what a payment's resource delivered and issue the payer's access
+   * receipt for fetching it again. Returns the receipt.
+   */
+  deliver(paymentId, resourceId, data) {
+    const payment = this.pendingMints.get(paymentId);
+
+    this.deliveries.set(paymentId, { ...this.deliveries.get(paymentId), [resourceId]: data });
+    this.ledger.recordDelivery(paymentId, resourceId, data);
+    this.paymentLog(paymentId).info('Resource delivered', { resource: resourceId });
+
+    return receipts.issue({ paymentId, resource: resourceId, payer: payment.payer || payment.userAddress });
+  }
+
+  /**
+   * Fulfil a minted payment: the resource it paid for, or - for a plain
+   * transfer - every resource that serves direct payments. Anything already
+   * delivered (x402 in-request payments) is skipped.
+   */
+  async fulfillPayment(paymentId) {
+    const payment = this.pendingMints.get(paymentId);
+    const owed = payment.resource
+      ? [resources.byPath(payment.resource)].filter(Boolean)
+      : resources.directPaymentResources();
+
+    for (const resource of owed) {
+      if (!resource.fulfill || this.deliveries.get(paymentId)?.[resource.id]) continue;
+
+      try {
+        this.deliver(paymentId, resource.id, await resource.fulfill({ paymentId, payment }));
+      } catch (error) {
+        this.paymentLog(paymentId).error('Failed to deliver resource', { resource: resource.id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Cancel a payment whose Transfer log was reorged out before we minted.
+   * The tx hash is released and the block cursor rewound so the transfer is
+   * picked up again as a fresh payment if it gets re-included.
+   */
+  cancelReorgedPayment(paymentId) {
+    const data = this.pendingMints.get(paymentId);
+    if (!data) return;
+
+    this.paymentLog(paymentId).warn('Payment was removed by a reorg - cancelling it', { paymentBlockNumber: data.paymentBlockNumber });
+
+    this.updatePayment(paymentId, {
+      status: 'cancelled',
+      cancelReason: 'reorg',
+      cancelledAt: Date.now()
+    });
+
+    this.releaseTx(data.txHash, data.paymentLogIndex);
+
+    // Rescan from the payment's block in case the transfer was re-included
+    const watcher = this.watchers.get(paymentNetwork(data));
+    if (watcher && data.paymentBlockNumber && watcher.lastScannedBlock !== null &&
+        watcher.lastScannedBlock >= data.paymentBlockNumber) {
+      watcher.lastScannedBlock = data.paymentBlockNumber - 1;
+      this.ledger.recordCursor(watcher.network.key, watcher.lastScannedBlock);
+    }
+  }
+
+  /**
+   * Re-queue payments that were received, minting or waiting to retry when the
+   * server stopped. A `minting` entry with known tx hashes is checked on-chain
+   * first so a mint that already went through is not sent twice.
+   */
+  async resumePendingMints() {
+    // Unconfirmed payments are picked up by checkConfirmations() instead
+    const toResume = [...this.pendingMints.entries()].filter(
+      ([, data]) => data.status === 'minting' || data.status === 'mint_retrying' ||
+        (data.status === 'confirming' && data.confirmedAt)
+    );
+
+    if (toResume.length === 0) return;
+
+    monitorLog.info('Resuming in-flight payments from the ledger', { count: toResume.length });
+
+    for (const [paymentId, data] of toResume) {
+      try {
+        // Records from before multi-unit minting have no pendingMintUnits
+        const pendingUnits = data.pendingMintUnits ?? (data.mintTxHash ? 1 : 0);
+
+        if (data.status === 'minting' && data.mintTxHash && pendingUnits > 0) {
+          // Any version of a replaced tx may be the one that got mined
+          const hashes = data.mintTxAttempts || [data.mintTxHash];
+          const receipt = await minterTransactions.findReceipt(hashes);
+
+          if (!receipt && await minterTransactions.isKnown(hashes)) {
+            this.awaitStuckMint([{ paymentId, units: pendingUnits, offset: data.mintBatchOffset || 0 }], hashes);
+            continue;
+          }
+
+          if (receipt && receipt.status === 1) {
+            this.recordMintedUnits(paymentId, pendingUnits, receipt, data.mintBatchOffset || 0);
+
+            if (this.remainingUnits(data) <= 0) {
+              this.completeMint(paymentId, receipt);
+              continue;
+            }
+          } else {
+            this.paymentLog(paymentId).warn(receipt ? 'Mint tx reverted, re-queuing' : 'Mint tx not found, re-queuing', { mintTxHash: data.mintTxHash });
+            this.updatePayment(paymentId, { pendingMintUnits: 0 });
+          }
+        } else if (data.status === 'minting' && !data.mintTxHash) {
+          this.paymentLog(paymentId).warn('Payment was minting with no tx hash recorded, re-queuing');
+        }
+
+        if (data.status === 'minting') {
+          this.updatePayment(paymentId, { status: 'confirming' });
+        }
+
+        if (data.status === 'mint_retrying') {
+          this.scheduleMintRetry(paymentId, (data.nextMintAttemptAt || 0) - Date.now());
+        } else {
+          this.enqueueMint(paymentId);
+        }
+      } catch (error) {
+        this.paymentLog(paymentId).error('Error resuming payment', { error: error.message });
+        this.updatePayment(paymentId, { status: 'mint_failed', error: error.message });
+      }
+    }
+
+    this.processMintQueue();
+  }
+
+  /**
+   * Whether a request's tagged amount can still be matched. Expired requests
+   * keep their tag for one more TTL so late payments still find them.
+   */
+  isTagReserved(data, now = Date.now()) {
+    if (!data.expectedAmount) return false;
+    if (data.status === 'waiting_for_payment') return true;
+    return data.status === 'expired' &&
+      now - (data.expiredAt || data.expiresAt) < PAYMENT_REQUEST_TTL_MINUTES * 60 * 1000;
+  }
+
+  /**
+   * Pick an exact amount for a new request: units * quoted price plus a tag
+   * that no other open request in the same asset is using. Tags count in the
+   * asset's tag unit (micro-USDC, gwei for ETH).
+   */
+  allocateExpectedAmount(units, quote) {
+    const base = quote.unitPrice * BigInt(units);
+    const tagUnit = assets.tagUnit(quote.asset);
+    const reserved = new Set();
+
+    // The tag must never add up to a whole extra mint
+    if (BigInt(PAYMENT_TAG_MODULUS - 1) * tagUnit >= quote.unitPrice) {
+      const error = new Error(`${quote.asset} is priced too high to tag requests - pay with another asset`);
+      error.status = 503;
+      throw error;
+    }
+
+    for (const data of this.pendingMints.values()) {
+      if (this.isTagReserved(data) && paymentAsset(data) === quote.asset) {
+        reserved.add(data.expectedAmount);
+      }
+    }
+
+    const start = crypto.randomInt(1, PAYMENT_TAG_MODULUS);
+    for (let i = 0; i < PAYMENT_TAG_MODULUS - 1; i++) {
+      const tag = ((start - 1 + i) % (PAYMENT_TAG_MODULUS - 1)) + 1;
+      const amount = (base + BigInt(tag) * tagUnit).toString();
+      if (!reserved.has(amount)) {
+        return amount;
+      }
+    }
+
+    const error = new Error('Too many open payment requests - please try again in a few minutes');
+    error.status = 503;
+    throw error;
+  }
+
+  /**
+   * Tie a transfer to a request. An exact tagged amount wins (payer may be any
+   * wallet); otherwise fall back to a request made by the sender's address.
+   * Open requests are preferred over expired (late) ones. Only requests quoted
+   * in the asset that was paid are considered.
+   */
+  findRequestForPayment(from, amount, asset = 'USDC') {
+    const now = Date.now();
+    const value = amount.toString();
+    const candidates = { amount: null, lateAmount: null, sender: null, lateSender: null };
+
+    for (const [pid, data] of this.pendingMints.entries()) {
+      // Don't wait for the sweeper - a stale request must not match
+      if (data.status === 'waiting_for_payment' && data.expiresAt && now >= data.expiresAt) {
+        this.updatePayment(pid, { status: 'expired', expiredAt: now });
+      }
+
+      if (paymentAsset(data) !== asset) continue;
+
+      const newer = (current) => !current || data.timestamp > this.pendingMints.get(current).timestamp;
+
+      if (data.expectedAmount === value && this.isTagReserved(data, now)) {
+        if (data.status === 'waiting_for_payment') candidates.amount = pid;
+        else if (newer(candidates.lateAmount)) candidates.lateAmount = pid;
+      } else if (data.userAddress === from) {
+        if (data.status === 'waiting_for_payment' && newer(candidates.sender)) candidates.sender = pid;
+        else if (data.status === 'expired' && newer(candidates.lateSender)) candidates.lateSender = pid;
+      }
+    }
+
+    if (candidates.amount) return { paymentId: candidates.amount, late: false, matchedBy: 'amount' };
+    if (candidates.sender) return { paymentId: candidates.sender, late: false, matchedBy: 'sender' };
+    if (candidates.lateAmount) return { paymentId: candidates.lateAmount, late: true, matchedBy: 'amount' };
+    if (candidates.lateSender) return { paymentId: candidates.lateSender, late: true, matchedBy: 'sender' };
+    return null;
+  }
+
+  /**
+   * Make room for one more payment record: once MAX_TRACKED_PAYMENTS is
+   * reached, finished records are pruned early, oldest first. Open and
+   * in-flight payments are never evicted.
+   * @returns {boolean} Whether there is room now
+   */
+  makeRoom() {
+    const excess = this.pendingMints.size - MAX_TRACKED_PAYMENTS + 1;
+    if (excess <= 0) return true;
+
+    const finished = [...this.pendingMints.entries()]
+      .filter(([, data]) => isTerminalState(data.status))
+      .sort(([, a], [, b]) => finishedAtOf(a) - finishedAtOf(b))
+      .slice(0, excess);
+
+    for (const [paymentId] of finished) {
+      this.pendingMints.delete(paymentId);
+      this.deliveries.delete(paymentId);
+      this.ledger.recordPruned(paymentId);
+    }
+    if (finished.length) {
+      monitorLog.info('Payment record limit reached, pruned finished records early', { limit: MAX_TRACKED_PAYMENTS, pruned: finished.length });
+    }
+
+    return finished.length === excess;
+  }
+
+  /**
+   * Refuse an unpaid request when its address has MAX_OPEN_REQUESTS_PER_ADDRESS
+   * open, or when open requests fill every slot. Retry-After points at the
+   * first of them to expire.
+   */
+  assertCanOpenRequest(recipient) {
+    const now = Date.now();
+    const expiresAt = (data) => data.expiresAt || data.timestamp + PAYMENT_REQUEST_TTL_MINUTES * 60 * 1000;
+    const open = [...this.pendingMints.values()].filter(
+      (data) => data.status === 'waiting_for_payment' && expiresAt(data) > now
+    );
+    const retryAfter = (requests) =>
+      requests.length ? (Math.min(...requests.map(expiresAt)) - now) / 1000 : RATE_LIMIT_WINDOW_SECONDS;
+
+    const mine = open.filter((data) => data.userAddress === recipient);
+    if (MAX_OPEN_REQUESTS_PER_ADDRESS && mine.length >= MAX_OPEN_REQUESTS_PER_ADDRESS) {
+      throw new RateLimitError(
+        `${recipient} already has ${mine.length} open payment requests - pay or wait for one to expire`,
+        retryAfter(mine)
+      );
+    }
+
+    if (!this.makeRoom()) {
+      throw new RateLimitError('Too many open payment requests - please try again shortly', retryAfter(open));
+    }
+  }
+
+  /**
+   * Open a request. Its quote (asset amount per mint) is locked until the
+   * request expires. (Requests paid via x402 go to recordX402Payment instead.)
+   */
+  createPaymentInstructions(req, userAddress, { units = 1, callbackUrl, asset = 'USDC', phase, proof } = {}) {
+    const recipient = userAddress.toLowerCase();
+    this.assertCanOpenRequest(recipient);
+
+    const paymentId = this.generatePaymentId();
+    const timestamp = Date.now();
+    const expiresAt = timestamp + (PAYMENT_REQUEST_TTL_MINUTES * 60 * 1000);
+    const usdcUnitPrice = mintPrice(units);
+    const quote = assets.quote(asset, usdcUnitPrice);
+    const expectedAmount = this.allocateExpectedAmount(units, quote);
+    const amountFormatted = assets.format(asset, expectedAmount);
+
+    // Networks the asset can be paid on, the active network first
+    const payableOn = WATCHED_NETWORKS.flatMap((network) => {
+      const entry = assets.forNetwork(network.key).find((candidate) => candidate.symbol === asset);
+      return entry ? [{ network, entry }] : [];
+    });
+    const [{ network: primaryNetwork, entry: primaryAsset }] = payableOn;
+
+    const transfer = {
+      token: asset,
+      address: this.paymentAddress,
+      tokenAddress: primaryAsset.address, // null for the native coin
+      native: Boolean(primaryAsset.native),
+      decimals: primaryAsset.decimals,
+      network: primaryNetwork.name,
+      chainId: primaryNetwork.chainId,
+      amount: expectedAmount, // units * quoted price + request tag (smallest unit)
+      instructions: `Send exactly ${amountFormatted} ${asset} from any wallet. We will automatically detect your payment and mint tokens to ${recipient}!`,
+      note: 'The extra digits identify your request - send the exact amount. No need to submit transaction hash!',
+      explorerUrl: explorerUrl(primaryNetwork, `address/${this.paymentAddress}`)
+    };
+
+    // Store pending mint request
+    this.createPayment(paymentId, {
+      userAddress: recipient,
+      timestamp,
+      expiresAt,
+      unitsRequested: units,
+      expectedAmount,
+      asset,
+      unitPrice: quote.unitPrice.toString(),
+      usdcUnitPrice: usdcUnitPrice.toString(),
+      quotedUsdPrice: quote.usdPrice,
+      resource: mintResource.path,
+      callbackUrl,
+      phase,
+      allowlistProof: proof,
+      status: 'waiting_for_payment'
+    });
+
+    return {
+      version: '1.0',
+      paymentId: paymentId,
+      
+      resource: {
+        id: mintResource.id,
+        url: mintResource.path,
+        description: `Mint ${(units * TOKENS_PER_MINT).toLocaleString('en-US')} x402rocks tokens`
+      },
+      
+      recipient,
+      units,
+      
+      payment: {
+        amount: amountFormatted,
+        currency: asset,
+        method: asset === 'USDC' ? 'usdc_automatic' : 'transfer_automatic',
+
+        transfer,
+        usdc: asset === 'USDC' ? transfer : undefined,
+
+        quote: {
+          asset,
+          usdPrice: quote.usdPrice,
+          pricePerMint: assets.format(asset, quote.unitPrice),
+          lockedUntil: expiresAt
+        },
+
+        networks: payableOn.map(({ network, entry }) => ({
+          network: network.key,
+          name: network.name,
+          chainId: network.chainId,
+          tokenAddress: entry.address
+        }))
+      },
+      
+      monitoring: {
+        automatic: true,
+        checkInterval: '10 seconds',
+        timeout: `${PAYMENT_REQUEST_TTL_MINUTES} minutes`,
+        statusEndpoint: `${baseUrlFor(req)}/api/payment-status/${paymentId}`
+      },
+      
+      expiresAt,
+      
+      service: {
+        name: 'x402rocks Automatic USDC Minting',
+        url: baseUrlFor(req),
+        contract: CONTRACT_ADDRESS || 'Not deployed'
+      }
+    };
+  }
+
+  async startMonitoring() {
+    monitorLog.info('Starting payment monitoring', { paymentAddress: this.paymentAddress });
+
+    for (const watcher of this.watchers.values()) {
+      this.watchNetwork(watcher);
+    }
+
+    // Also scan forward from each network's block cursor every 15 seconds
+    setInterval(() => {
+      for (const watcher of this.watchers.values()) {
+        if (watcher.active) this.pollRecentTransfers(watcher);
+      }
+    }, 15000);
+
+    monitorLog.info('Payment monitoring active', { networks: [...this.watchers.keys()] });
+  }
+
+  /**
+   * Start watching one network, once its RPC is confirmed to serve the chain
+   * we expect - a mislabelled RPC could turn testnet USDC into real mints
+   */
+  async watchNetwork(watcher) {
+    const { network, provider } = watcher;
+
+    try {
+      const { chainId } = await provider.getNetwork();
+      if (Number(chainId) !== network.chainId) {
+        monitorLog.error('RPC is on the wrong chain, not watching it', {
+          network: network.key,
+          chainId: Number(chainId),
+          expectedChainId: network.chainId
+        });
+        return;
+      }
+    } catch (error) {
+      monitorLog.warn('RPC unavailable, retrying in 15s', { network: network.key, error: error.message });
+      setTimeout(() => this.watchNetwork(watcher), 15000);
+      return;
+    }
+
+    // Listen for new transfers
+    provider.on(this.transferFilter(network), async (log) => {
+      await this.handleTokenTransfer(log, watcher);
+    });
+
+    watcher.active = true;
+    monitorLog.info('Watching network', {
+      network: network.key,
+      chainId: network.chainId,
+      confirmations: network.confirmations
+    });
+
+    // Initial scan - backfills anything that arrived while we were down
+    this.pollRecentTransfers(watcher);
+  }
+
+  /**
+   * Transfers of any accepted token to the payment address on `network`
+   */
+  transferFilter(network, range = {}) {
+    return {
+      address: assets.tokenAddresses(network.key),
+      topics: [
+        ethers.id('Transfer(address,address,uint256)'),
+        null, // from (any address)
+        ethers.zeroPadValue(this.paymentAddress, 32) // to (our payment address)
+      ],
+      ...range
+    };
+  }
+
+  /**
+   * Scan a network forward from its persisted block cursor to the chain head
+   * in SCAN_CHUNK_SIZE chunks. The cursor only advances after a chunk has been
+   * fully handled, so an RPC error or restart never skips blocks - the next
+   * tick simply resumes from where this one stopped.
+   */
+  async pollRecentTransfers(watcher) {
+    const { network, provider } = watcher;
+    if (!this.paymentAddress || watcher.isScanning) return;
+
+    watcher.isScanning = true;
+
+    try {
+      const currentBlock = await provider.getBlockNumber();
+      watcher.headBlock = currentBlock;
+
+      if (watcher.lastScannedBlock === null) {
+        // First run with an empty ledger - start from config or near the head
+        watcher.lastScannedBlock = network.scanStartBlock !== null
+          ? network.scanStartBlock - 1
+          : currentBlock - SCAN_CHUNK_SIZE;
+        monitorLog.info('No block cursor found, starting scan', { network: network.key, afterBlock: watcher.lastScannedBlock });
+      }
+
+      const behind = currentBlock - watcher.lastScannedBlock;
+      if (behind > SCAN_CHUNK_SIZE) {
+        monitorLog.info('Backfilling blocks', {
+          network: network.key,
+          fromBlock: watcher.lastScannedBlock + 1,
+          toBlock: currentBlock,
+          blocks: behind
+        });
+      }
+
+      while (watcher.lastScannedBlock < currentBlock) {
+        const fromBlock = watcher.lastScannedBlock + 1;
+        const toBlock = Math.min(fromBlock + SCAN_CHUNK_SIZE - 1, currentBlock);
+
+        const logs = await provider.getLogs(this.transferFilter(network, { fromBlock, toBlock }));
+
+        for (const log of logs) {
+          await this.handleTokenTransfer(log, watcher);
+        }
+
+        if (assets.acceptsNative(network.key)) {
+          await this.scanNativeTransfers(watcher, fromBlock, toBlock);
+        }
+
+        watcher.lastScannedBlock = toBlock;
+        this.ledger.recordCursor(network.key, toBlock);
+      }
+
+      await this.checkConfirmations(watcher, currentBlock);
+    } catch (error) {
+      monitorLog.error('Error polling transfers', {
+        network: network.key,
+        cursorBlock: watcher.lastScannedBlock,
+        error: error.message
+      });
+    } finally {
+      watcher.isScanning = false;
+    }
+  }
+
+  /**
+   * Native coin payments have no logs, so read each block's transactions for
+   * value sent straight to the payment address. Only found by polling.
+   */
+  async scanNativeTransfers(watcher, fromBlock, toBlock) {
+    const paymentAddress = this.paymentAddress.toLowerCase();
+
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+      const block = await watcher.provider.getBlock(blockNumber, true);
+
+      for (const tx of block?.prefetchedTransactions || []) {
+        if (tx.to?.toLowerCase() !== paymentAddress || tx.value === 0n) continue;
+
+        // A reverted call still carries its value in the tx, but nothing arrived
+        const receipt = await watcher.provider.getTransactionReceipt(tx.hash);
+        if (!receipt || receipt.status !== 1) continue;
+
+        await this.handlePayment({
+          txHash: tx.hash,
+          from: tx.from.toLowerCase(),
+          amount: tx.value,
+          asset: assets.nativeSymbol(),
+          blockNumber: block.number,
+          blockHash: block.hash
+        }, watcher);
+      }
+    }
+  }
+
+  /**
+   * Move a network's received payments through `confirming` and into the mint
+   * queue once they are as deep as that network requires. Each payment's
+   * receipt is re-fetched so a log that moved to another block is followed,
+   * and one that vanished in a reorg cancels the pending mint.
+   */
+  async checkConfirmations(watcher, currentBlock) {
+    const unconfirmed = [...this.pendingMints.entries()].filter(
+      ([, data]) => (data.status === 'payment_received' || data.status === 'confirming') && !data.confirmedAt &&
+        paymentNetwork(data) === watcher.network.key
+    );
+
+    for (const [paymentId, data] of unconfirmed) {
+      const receipt = await watcher.provider.getTransactionReceipt(data.txHash);
+
+      if (!receipt || receipt.status !== 1) {
+        const misses = (this.receiptMisses.get(paymentId) || 0) + 1;
+        this.receiptMisses.set(paymentId, misses);
+        if (misses >= REORG_MISS_LIMIT) {
+          this.receiptMisses.delete(paymentId);
+          this.cancelReorgedPayment(paymentId);
+        }
+        continue;
+      }
+      this.receiptMisses.delete(paymentId);
+
+      if (data.paymentBlockHash && receipt.blockHash !== data.paymentBlockHash) {
+        this.paymentLog(paymentId, data.txHash).warn('Payment re-included after reorg', { blockNumber: receipt.blockNumber });
+        this.updatePayment(paymentId, {
+          paymentBlockNumber: receipt.blockNumber,
+          paymentBlockHash: receipt.blockHash
+        });
+      } else if (!data.paymentBlockHash) {
+        this.updatePayment(paymentId, {
+          paymentBlockNumber: receipt.blockNumber,
+          paymentBlockHash: receipt.blockHash
+        });
+      }
+
+      const confirmations = currentBlock - receipt.blockNumber + 1;
+
+      if (confirmations < watcher.network.confirmations) {
+        if (data.status !== 'confirming' || data.confirmations !== confirmations) {
+          this.updatePayment(paymentId, { status: 'confirming', confirmations });
+        }
+        continue;
+      }
+
+      this.updatePayment(paymentId, {
+        status: 'confirming',
+        confirmations,
+        confirmedAt: Date.now()
+      });
+
+      this.enqueueMint(paymentId);
+
+      this.paymentLog(paymentId, data.txHash).info('Payment confirmed, queued for minting', { confirmations });
+    }
+
+    this.processMintQueue();
+  }
+
+  async handleTokenTransfer(log, watcher) {
+    try {
+      const txHash = log.transactionHash;
+
+      // The subscription re-emits logs dropped by a reorg with removed=true
+      if (log.removed) {
+        for (const [pid, data] of this.pendingMints.entries()) {
+          if (data.txHash === txHash && !data.confirmedAt &&
+              (data.status === 'payment_received' || data.status === 'confirming')) {
+            this.cancelReorgedPayment(pid);
+          }
+        }
+        return;
+      }
+
+      // Decode the transfer event
+      const iface = new ethers.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+      const decoded = iface.parseLog(log);
+      const asset = assets.symbolAt(watcher.network.key, log.address);
+
+      if (!asset || decoded.args.to.toLowerCase() !== this.paymentAddress.toLowerCase()) {
+        return;
+      }
+
+      await this.handlePayment({
+        txHash,
+        logIndex: log.index,
+        from: decoded.args.from.toLowerCase(),
+        amount: decoded.args.value,
+        asset,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash
+      }, watcher);
+    } catch (error) {
+      monitorLog.error('Error handling token transfer', { network: watcher.network.key, txHash: log.transactionHash, error });
+    }
+  }
+
+  /**
+   * Record a payment to the payment address - a token transfer or native
+   * coin - and tie it to its request. `amount` is in the asset's smallest unit.
+   * A token transfer carries its `logIndex`: one tx can hold several
+   * transfers to us, and each is a payment of its own.
+   */
+  async handlePayment({ txHash, logIndex, from, amount, asset, blockNumber, blockHash }, watcher) {
+    try {
+      const network = watcher.network.key;
+
+      // Skip if already processed
+      if (this.isTxProcessed(txHash, logIndex)) {
+        return;
+      }
+
+      const paid = {
+        txHash,
+        paymentLogIndex: logIndex,
+        network,
+        asset,
+        payer: from,
+        paidAt: Date.now(),
+        paymentBlockNumber: blockNumber,
+        paymentBlockHash: blockHash
+      };
+
+      // Find the request this payment belongs to
+      const match = this.findRequestForPayment(from, amount, asset);
+      const paymentId = match?.paymentId;
+
+      // An asset we can't price (yet) buys nothing until an admin sets a price
+      const quote = this.quoteFor(asset, amount, paymentId && this.pendingMints.get(paymentId), match?.late) ??
+        { amount: amount.toString(), unitsPurchased: 0, creditRemainder: amount.toString() };
+
+      monitorLog.info('Payment detected', {
+        paymentId,
+        txHash,
+        network,
+        asset,
+        payer: from,
+        amount: assets.format(asset, amount),
+        units: quote.unitsPurchased
+      });
+
+      if (screening) {
+        const recipient = paymentId ? this.pendingMints.get(paymentId).userAddress : from;
+        const { decision, hits } = screening.screen({
+          payer: from,
+          recipient,
+          context: { paymentId, txHash, network, asset, amount: amount.toString() }
+        });
+
+        if (decision === 'hit') {
+          this.holdForReview(paid, quote, match, hits);
+          this.markTxProcessed(txHash, logIndex);
+          paymentsDetected.inc({ network, asset, outcome: 'held_for_review' });
+          return;
+        }
+      }
+
+      const outcome = await this.routePayment(paid, quote, quote.unitPrice !== undefined ? BigInt(quote.unitPrice) : null, match);
+      this.markTxProcessed(txHash, logIndex);
+      paymentsDetected.inc({ network, asset, outcome });
+    } catch (error) {
+      monitorLog.error('Error handling payment', { network: watcher.network.key, asset, txHash, error });
+    }
+  }
+
+  /**
+   * Decide what a (screened) payment becomes: underpaid, a late refund,
+   * ineligible, a matched or auto mint, or unmatched. A payment held for
+   * review passes its record as `heldId` and that record is updated instead
+   * of creating a new one.
+   * @returns {Promise<string>} underpaid | late_payment | ineligible | matched | unmatched | auto
+   */
+  async routePayment(paid, quote, unitPrice, match, heldId = null) {
+    const paymentId = match?.paymentId;
+    // Returns the id of the record written
+    const store = (prefix, fields) => {
+      if (heldId) {
+        this.updatePayment(heldId, fields);
+        return heldId;
+      }
+      const id = `${prefix}-${crypto.randomBytes(8).toString('hex')}`;
+      this.createPayment(id, { userAddress: paid.payer, timestamp: Date.now(), ...fields });
+      return id;
+    };
+
+    // Too little for one mint - keep it on record so it gets refunded
+    if (unitPrice !== null && quote.unitsPurchased === 0) {
+      const id = store('underpaid', { status: 'underpaid', ...paid, ...quote });
+      this.paymentLog(id, paid.txHash).info('Underpaid transfer recorded for refund', {
+        payer: paid.payer,
+        amount: assets.format(paid.asset, quote.amount)
+      });
+      return 'underpaid';
+    }
+
+    if (match?.late) {
+      this.paymentLog(paymentId, paid.txHash).info('Payment arrived after its request expired', { policy: LATE_PAYMENT_POLICY });
+
+      if (LATE_PAYMENT_POLICY === 'refund') {
+        this.updatePayment(paymentId, {
+          status: 'late_payment',
+          ...paid,
+          ...quote,
+          matchedBy: match.matchedBy
+        });
+        return 'late_payment';
+      }
+    }
+
+    // Phase, allowlist and per-address cap. Held (unmatched) payments are
+    // checked when an admin attaches them, and the attach is refused if they
+    // don't fit; ineligible ones here are refunded.
+    if (unitPrice !== null && (paymentId || AUTO_MINT_UNMATCHED)) {
+      const request = paymentId ? this.pendingMints.get(paymentId) : null;
+
+      try {
+        const phase = await this.checkEligibility(request?.userAddress || paid.payer, quote.unitsPurchased, {
+          proof: request?.allowlistProof,
+          excludePaymentId: paymentId
+        });
+        paid.phase = phase.name;
+      } catch (error) {
+        if (!(error instanceof EligibilityError)) throw error;
+
+        const ineligible = {
+          status: 'ineligible',
+          ...paid,
+          ...quote,
+          ineligibleReason: error.reason,
+          error: error.message
+        };
+
+        let id = paymentId;
+        if (paymentId) {
+          this.updatePayment(paymentId, { ...ineligible, matchedBy: match.matchedBy });
+        } else {
+          id = store('ineligible', ineligible);
+        }
+        this.paymentLog(id, paid.txHash).info('Payment is not eligible to mint', { reason: error.reason, error: error.message });
+        return 'ineligible';
+      }
+    }
+
+    if (paymentId) {
+      // Update status
+      this.updatePayment(paymentId, {
+        status: 'payment_received',
+        ...paid,
+        ...quote,
+        matchedBy: match.matchedBy,
+        latePayment: match.late
+      });
+
+      // Minting waits for checkConfirmations() on the next tick
+      this.paymentLog(paymentId, paid.txHash).info('Payment matched to pending mint', {
+        matchedBy: match.matchedBy,
+        confirmationsNeeded: this.watchers.get(paid.network).network.confirmations
+      });
+      return 'matched';
+    } else if (!AUTO_MINT_UNMATCHED || unitPrice === null) {
+      const id = store('unmatched', { status: 'unmatched', ...paid, ...quote });
+      this.paymentLog(id, paid.txHash).info(unitPrice === null
+        ? 'No price for asset - holding payment for an admin to price and attach'
+        : 'No pending request found - holding payment for an admin to attach', { asset: paid.asset });
+      return 'unmatched';
+    } else {
+      // No pending request, but user paid - mint anyway!
+      const id = store('auto', { status: 'payment_received', ...paid, ...quote, auto: true });
+      this.paymentLog(id, paid.txHash).info('No pending request found - auto-minting after confirmation');
+      return 'auto';
+    }
+  }
+
+  /**
+   * Park a payment that hit the screening list. A payment for a request is
+   * held on that request; anything else (including an underpaid transfer,
+   * which would otherwise be refunded straight away) gets its own record.
+   */
+  holdForReview(paid, quote, match, hits) {
+    const onRequest = match && quote.unitsPurchased > 0;
+    const held = {
+      status: 'held_for_review',
+      ...paid,
+      ...quote,
+      screeningHits: hits,
+      heldAt: Date.now()
+    };
+
+    let paymentId;
+    if (onRequest) {
+      paymentId = match.paymentId;
+      this.updatePayment(paymentId, { ...held, matchedBy: match.matchedBy, latePayment: match.late });
+    } else {
+      paymentId = 'held-' + crypto.randomBytes(8).toString('hex');
+      this.createPayment(paymentId, { userAddress: paid.payer, timestamp: Date.now(), ...held });
+    }
+
+    this.paymentLog(paymentId, paid.txHash).warn('Payment held for review: on the screening list', {
+      hits: hits.map((hit) => `${hit.role} ${hit.address}`)
+    });
+  }
+
+  /**
+   * Mint queued payments in batches. Waits for a full batch or for the oldest
+   * payment to reach MINT_BATCH_MAX_WAIT_MS, then drains the queue.
+   */
+  async processMintQueue() {
+    if (this.isProcessing || this.mintQueuePaused || this.mintQueue.length === 0) {
+      return;
+    }
+
+    const queuedUnits = this.mintQueue.reduce((total, item) => {
+      const data = this.pendingMints.get(item.paymentId);
+      return total + (data ? Math.max(this.remainingUnits(data), 0) : 0);
+    }, 0);
+    const waited = Date.now() - this.mintQueue[0].queuedAt;
+
+    if (queuedUnits < MINT_BATCH_SIZE && waited < MINT_BATCH_MAX_WAIT_MS) {
+      if (!this.mintBatchTimer) {
+        this.mintBatchTimer = setTimeout(() => {
+          this.mintBatchTimer = null;
+          this.processMintQueue();
+        }, MINT_BATCH_MAX_WAIT_MS - waited);
+      }
+      return;
+    }
+
+    clearTimeout(this.mintBatchTimer);
+    this.mintBatchTimer = null;
+    this.isProcessing = true;
+
+    try {
+      while (this.mintQueue.length > 0) {
+        const batch = this.takeMintBatch();
+        if (batch.length > 0) {
+          await this.mintBatch(batch);
+        }
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Take up to MINT_BATCH_SIZE units off the front of the queue. A payment
+   * that doesn't fit whole is split: the rest stays at the head of the queue.
+   * Returns [{ paymentId, userAddress, units, offset }] in recipient-list order.
+   */
+  takeMintBatch() {
+    const batch = [];
+    let offset = 0;
+
+    while (this.mintQueue.length > 0 && offset < MINT_BATCH_SIZE) {
+      const { paymentId } = this.mintQueue[0];
+      const data = this.pendingMints.get(paymentId);
+
+      // The refund engine may have taken over while this sat in the queue
+      if (!data || !['payment_received', 'confirming', 'minting', 'mint_retrying'].includes(data.status)) {
+        this.paymentLog(paymentId).warn('Skipping mint: payment is no longer waiting to mint', { status: data?.status });
+        this.mintQueue.shift();
+        continue;
+      }
+
+      // Units still riding on a stuck tx are picked up by awaitStuckMint()
+      const remaining = this.remainingUnits(data);
+      if (remaining <= 0 || data.pendingMintUnits > 0 || batch.some((entry) => entry.paymentId === paymentId)) {
+        this.mintQueue.shift();
+        continue;
+      }
+
+      const units = Math.min(remaining, MINT_BATCH_SIZE - offset);
+      batch.push({ paymentId, userAddress: data.userAddress, units, offset });
+      offset += units;
+
+      if (units === remaining) {
+        this.mintQueue.shift();
+      }
+    }
+
+    return batch;
+  }
+
+  /**
+   * Send one mint tx for a batch and book each payment's slots from the
+   * receipt. If the batch reverts, every payment in it is minted on its own
+   * so one bad entry can't fail the rest. Temporary errors put the whole
+   * batch back in the queue with backoff.
+   */
+  async mintBatch(batch) {
+    const recipients = batch.flatMap((entry) => Array(entry.units).fill(entry.userAddress));
+    let receipt;
+
+    for (const entry of batch) {
+      const data = this.pendingMints.get(entry.paymentId);
+      this.updatePayment(entry.paymentId, { status: 'minting', mintingAt: data.mintingAt || Date.now() });
+    }
+
+    try {
+      // One unit uses mintTo, more go through batchMintTo in a single tx
+      const request = recipients.length === 1
+        ? await contract.mintTo.populateTransaction(recipients[0])
+        : await contract.batchMintTo.populateTransaction(recipients);
+
+      receipt = await minterTransactions.send(request, {
+        label: `Mint of ${recipients.length} unit${recipients.length === 1 ? '' : 's'} for ${batch.length} payment${batch.length === 1 ? '' : 's'}`,
+        log: batch.length === 1
+          ? this.paymentLog(batch[0].paymentId)
+          : monitorLog.child({ paymentIds: batch.map((entry) => entry.paymentId) }),
+        // Persist every hash before it is broadcast so a restart can find the tx
+        onSubmitted: (hash, hashes) => {
+          for (const entry of batch) {
+            this.updatePayment(entry.paymentId, {
+              mintTxHash: hash,
+              mintTxAttempts: hashes,
+              pendingMintUnits: entry.units,
+              mintBatchOffset: entry.offset
+            });
+          }
+        }
+      });
+    } catch (error) {
+      if (error.code === TX_PENDING) {
+        this.awaitStuckMint(batch, error.hashes);
+        return;
+      }
+
+      if (TransactionManager.isRetryable(error)) {
+        for (const entry of batch) {
+          this.retryMintLater(entry.paymentId, error);
+        }
+        return;
+      }
+
+      if (batch.length === 1) {
+        this.failMint(batch[0].paymentId, error);
+        return;
+      }
+
+      monitorLog.warn('Batch mint failed, minting each payment on its own', {
+        paymentIds: batch.map((entry) => entry.paymentId),
+        error: error.message
+      });
+
+      for (const entry of batch) {
+        this.updatePayment(entry.paymentId, { status: 'confirming', pendingMintUnits: 0 });
+        try {
+          await this.mintTokens(entry.paymentId);
+        } catch (itemError) {
+          // mintTokens already recorded the outcome
+        }
+      }
+      return;
+    }
+
+    for (const entry of batch) {
+      this.recordMintedUnits(entry.paymentId, entry.units, receipt, entry.offset);
+
+      if (this.remainingUnits(this.pendingMints.get(entry.paymentId)) <= 0) {
+        this.completeMint(entry.paymentId, receipt);
+      }
+    }
+  }
+
+  /**
+   * Mint everything a single payment is still owed, outside any batch
+   */
+  async mintTokens(paymentId) {
+    if (!contract) {
+      throw new Error('Contract not initialized');
+    }
+
+    const mintData = this.pendingMints.get(paymentId);
+    if (!mintData) {
+      throw new Error('Payment data not found');
+    }
+
+    // The refund engine may have taken over while this sat in the queue
+    if (mintData.status !== 'payment_received' && mintData.status !== 'confirming') {
+      this.paymentLog(paymentId).warn('Skipping mint: payment is no longer waiting to mint', { status: mintData.status });
+      return { success: false, skipped: true };
+    }
+
+    const userAddress = mintData.userAddress;
+    this.paymentLog(paymentId).info('Minting tokens', { userAddress, units: this.remainingUnits(mintData) });
+
+    // Update status
+    this.updatePayment(paymentId, {
+      status: 'minting',
+      mintingAt: mintData.mintingAt || Date.now()
+    });
+
+    try {
+      let receipt;
+
+      while (this.remainingUnits(mintData) > 0) {
+        const units = Math.min(this.remainingUnits(mintData), MINT_BATCH_SIZE);
+
+        const request = units === 1
+          ? await contract.mintTo.populateTransaction(userAddress)
+          : await contract.batchMintTo.populateTransaction(Array(units).fill(userAddress));
+
+        receipt = await minterTransactions.send(request, {
+          label: `Mint of ${units} unit${units === 1 ? '' : 's'} for ${paymentId}`,
+          log: this.paymentLog(paymentId),
+          // Persist every hash before it is broadcast so a restart can find the tx
+          onSubmitted: (hash, hashes) => {
+            this.updatePayment(paymentId, {
+              mintTxHash: hash,
+              mintTxAttempts: hashes,
+              pendingMintUnits: units,
+              mintBatchOffset: 0
+            });
+          }
+        });
+        this.recordMintedUnits(paymentId, units, receipt);
+      }
+
+      return this.completeMint(paymentId, receipt);
+    } catch (error) {
+      if (error.code === TX_PENDING) {
+        this.awaitStuckMint([{ paymentId, units: mintData.pendingMintUnits, offset: 0 }], error.hashes);
+        return { success: false, pending: true };
+      }
+
+      if (TransactionManager.isRetryable(error)) {
+        this.retryMintLater(paymentId, error);
+      } else {
+        this.failMint(paymentId, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Watch a mint tx that outlived TX_MAX_PENDING_SECONDS off the queue, so the
+   * payments behind it keep minting. Its payments stay `minting` until one
+   * version of the tx is mined (book the units, queue anything still owed) or
+   * the node forgets it (retry with backoff). It is never re-sent blindly -
+   * that could mint twice.
+   */
+  awaitStuckMint(entries, hashes) {
+    const log = entries.length === 1
+      ? this.paymentLog(entries[0].paymentId)
+      : monitorLog.child({ paymentIds: entries.map((entry) => entry.paymentId) });
+
+    log.warn('Mint tx is stuck, watching it in the background', { mintTxHash: hashes.at(-1), attempts: hashes.length });
+
+    minterTransactions.waitForAny(hashes).then((receipt) => {
+      if (receipt && receipt.status === 1) {
+        for (const entry of entries) {
+          this.recordMintedUnits(entry.paymentId, entry.units, receipt, entry.offset);
+
+          if (this.remainingUnits(this.pendingMints.get(entry.paymentId)) <= 0) {
+            this.completeMint(entry.paymentId, receipt);
+          } else {
+            this.enqueueMint(entry.paymentId);
+          }
+        }
+        this.processMintQueue();
+        return;
+      }
+
+      const error = new Error(receipt ? `Mint tx ${receipt.hash} reverted` : `Mint tx ${hashes.at(-1)} was dropped`);
+      for (const entry of entries) {
+        this.retryMintLater(entry.paymentId, error);
+      }
+    }, (error) => {
+      // The tx may still land, so keep watching rather than send it again
+      log.warn('Error checking a stuck mint tx, checking again later', { mintTxHash: hashes.at(-1), error: error.message });
+      setTimeout(() => this.awaitStuckMint(entries, hashes), MINT_RETRY_BASE_SECONDS * 1000);
+    }).catch((error) => {
+      log.error('Error booking a stuck mint tx', { mintTxHash: hashes.at(-1), error: error.message });
+    });
+  }
+
+  /**
+   * Put a payment whose mint hit a temporary error back in the queue after an
+   * exponential backoff, or give up once MINT_MAX_ATTEMPTS is reached
+   */
+  retryMintLater(paymentId, error) {
+    const data = this.pendingMints.get(paymentId);
+    const attempts = (data.mintAttempts || 0) + 1;
+
+    if (attempts >= MINT_MAX_ATTEMPTS) {
+      this.failMint(paymentId, error, attempts);
+      return;
+    }
+
+    const delayMs = Math.min(MINT_RETRY_BASE_SECONDS * 2 ** (attempts - 1), MINT_RETRY_MAX_SECONDS) * 1000;
+
+    this.updatePayment(paymentId, {
+      status: 'mint_retrying',
+      mintAttempts: attempts,
+      nextMintAttemptAt: Date.now() + delayMs,
+      pendingMintUnits: 0,
+      error: error.message
+    });
+
+    this.paymentLog(paymentId).warn('Mint failed, retrying', {
+      attempt: attempts,
+      maxAttempts: MINT_MAX_ATTEMPTS,
+      retryInSeconds: Math.round(delayMs / 1000),
+      error: error.message
+    });
+    mintFailures.inc({ reason: error.code || 'UNKNOWN', final: 'false' });
+    this.scheduleMintRetry(paymentId, delayMs);
+  }
+
+  scheduleMintRetry(paymentId, delayMs) {
+    setTimeout(() => {
+      this.enqueueMint(paymentId);
+      this.processMintQueue();
+    }, Math.max(delayMs, 0));
+  }
+
+  /**
+   * Mark a mint as permanently failed - it won't be retried automatically
+   */
+  failMint(paymentId, error, attempts) {
+    const data = this.pendingMints.get(paymentId);
+
+    this.updatePayment(paymentId, {
+      status: 'mint_failed',
+      error: error.message,
+      mintAttempts: attempts ?? (data.mintAttempts || 0) + 1,
+      pendingMintUnits: 0,
+      failedAt: Date.now()
+    });
+    this.paymentLog(paymentId).error('Mint failed', { attempts: data.mintAttempts, error: error.message });
+    mintFailures.inc({ reason: error.code || 'UNKNOWN', final: 'true' });
+  }
+
+  /**
+   * Mark a mint as completed and deliver what the payment bought
+   */
+  completeMint(paymentId, receipt) {
+    const mintData = this.pendingMints.get(paymentId);
+    this.paymentLog(paymentId).info('Mint completed', { mintTxHash: receipt.hash, blockNumber: receipt.blockNumber });
+
+    // Update final status
+    this.updatePayment(paymentId, {
+      status: 'completed',
+      completedAt: Date.now(),
+      mintBlockNumber: receipt.blockNumber
+    });
+
+    this.fulfillPayment(paymentId);
+
+    return {
+      success: true,
+      paymentTxHash: mintData.txHash,
+      mintTxHash: receipt.hash,
+      unitsMinted: mintData.unitsMinted,
+      blockNumber: receipt.blockNumber
+    };
+  }
+
+  /**
+   * Stop or restart sending mint transactions. Confirmed payments keep
+   * queueing up while paused.
+   */
+  setMintQueuePaused(paused) {
+    this.mintQueuePaused = paused;
+    this.ledger.recordQueuePaused(paused);
+
+    if (!paused) {
+      this.processMintQueue();
+    }
+  }
+
+  /**
+   * Send a mint_failed payment back to the mint queue with a fresh set of attempts
+   */
+  retryMint(paymentId) {
+    const data = this.pendingMints.get(paymentId);
+
+    if (!data) {
+      throw new Error('Payment ID not found');
+    }
+    if (data.status !== 'mint_failed') {
+      throw new Error(`Payment is ${data.status}, only mint_failed payments can be retried`);
+    }
+
+    this.updatePayment(paymentId, { status: 'confirming', mintAttempts: 0, error: null });
+    this.enqueueMint(paymentId);
+    this.processMintQueue();
+  }
+
+  /**
+   * Move a payment that didn't match (or matched no request and hasn't been
+   * minted yet) onto the request it was meant for. The payment goes through
+   * the confirmation check again before minting to the request's recipient.
+   * Throws EligibilityError (and attaches nothing) if the current mint phase
+   * doesn't allow the recipient those units.
+   */
+  async attachPayment(paymentId, txHash) {
+    const target = this.pendingMints.get(paymentId);
+    if (!target) {
+      throw new Error('Payment ID not found');
+    }
+    if (target.status !== 'waiting_for_payment' && target.status !== 'expired') {
+      throw new Error(`Payment is ${target.status}, only open or expired requests can take a payment`);
+    }
+
+    const sourceEntry = [...this.pendingMints.entries()].find(([, data]) => data.txHash === txHash &&
+      (data.status === 'unmatched' || (data.auto && ['payment_received', 'confirming'].includes(data.status))));
+    if (!sourceEntry) {
+      throw new Error('No unmatched payment with that transaction hash (it may already be minting)');
+    }
+
+    const [sourceId, source] = sourceEntry;
+
+    // Priced like a matched payment: the request's locked quote if it is still
+    // open and in the same asset, the current price otherwise
+    const asset = paymentAsset(source);
+    const quote = this.quoteFor(asset, BigInt(source.amount), target, target.status === 'expired');
+    if (!quote) {
+      throw new Error(`No price set for ${asset} - set one before attaching this payment`);
+    }
+    if (quote.unitsPurchased === 0) {
+      throw new Error(`${assets.format(asset, source.amount)} ${asset} is less than the price of one mint`);
+    }
+
+    const targetStatus = target.status;
+    const sourceStatus = source.status;
+    const phase = await this.checkEligibility(target.userAddress, quote.unitsPurchased, {
+      proof: target.allowlistProof,
+      excludePaymentId: paymentId
+    });
+    if (target.status !== targetStatus || source.status !== sourceStatus) {
+      throw new Error('The request or payment changed while it was being checked - try again');
+    }
+
+    this.updatePayment(sourceId, {
+      status: 'cancelled',
+      cancelReason: `attached to ${paymentId}`,
+      cancelledAt: Date.now()
+    });
+    this.updatePayment(paymentId, {
+      status: 'payment_received',
+      txHash: source.txHash,
+      paymentLogIndex: source.paymentLogIndex,
+      network: source.network,
+      asset,
+      payer: source.payer,
+      paidAt: source.paidAt,
+      paymentBlockNumber: source.paymentBlockNumber,
+      paymentBlockHash: source.paymentBlockHash,
+      ...quote,
+      matchedBy: 'admin',
+      phase: phase.name,
+      attachedFrom: sourceId,
+      latePayment: target.status === 'expired'
+    });
+
+    return sourceId;
+  }
+
+  /**
+   * Cancel a request nobody has paid yet
+   */
+  cancelRequest(paymentId, reason) {
+    const data = this.pendingMints.get(paymentId);
+
+    if (!data) {
+      throw new Error('Payment ID not found');
+    }
+    if (data.status !== 'waiting_for_payment') {
+      throw new Error(`Payment is ${data.status}, only requests waiting for payment can be cancelled`);
+    }
+
+    this.updatePayment(paymentId, {
+      status: 'cancelled',
+      cancelReason: reason,
+      cancelledAt: Date.now()
+    });
+  }
 
-      // Mark as processed
-      this.processedTxHashes.add(txHash);
+  /**
+   * Clear a payment held by screening: it is routed as if it had passed -
+   * matched, auto-minted, unmatched, underpaid or ineligible - with the quote
+   * it was held at
+   */
+  async releaseHeldPayment(paymentId, actor, note) {
+    const data = this.assertHeld(paymentId);
 
-      // Find pending mint for this sender
-      let paymentId = null;
-      for (const [pid, data] of this.pendingMints.entries()) {
-        if (data.userAddress === from && data.status === 'waiting_for_payment') {
-          paymentId = pid;
-          break;
-        }
-      }
+    const paid = {
+      txHash: data.txHash,
+      paymentLogIndex: data.paymentLogIndex,
+      network: data.network,
+      asset: paymentAsset(data),
+      payer: data.payer,
+      paidAt: data.paidAt,
+      paymentBlockNumber: data.paymentBlockNumber,
+      paymentBlockHash: data.paymentBlockHash
+    };
+    const quote = {
+      amount: data.amount,
+      unitPrice: data.unitPrice,
+      unitsPurchased: data.unitsPurchased,
+      creditRemainder: data.creditRemainder
+    };
+    const match = data.matchedBy ? { paymentId, matchedBy: data.matchedBy, late: Boolean(data.latePayment) } : null;
 
-      if (paymentId) {
-        // Update status
-        const mintData = this.pendingMints.get(paymentId);
-        mintData.status = 'payment_received';
-        mintData.txHash = txHash;
-        mintData.paidAt = Date.now();
-
-        // Add to mint queue
-        this.mintQueue.push({
-          paymentId,
-          userAddress: from,
-          txHash
-        });
+    await this.routePayment(paid, quote, data.unitPrice !== undefined ? BigInt(data.unitPrice) : null, match, paymentId);
 
-        console.log(`✅ Payment matched to pending mint: ${paymentId}`);
-        
-        // Process queue
-        this.processMintQueue();
-      } else {
-        // No pending request, but user paid - mint anyway!
-        console.log('⚡ No pending request found, but payment received. Auto-minting...');
-        
-        const autoPaymentId = 'auto-' + crypto.randomBytes(8).toString('hex');
-        
-        // Store it in pendingMints
-        this.pendingMints.set(autoPaymentId, {
-          userAddress: from,
-          timestamp: Date.now(),
-          status: 'payment_received',
-          txHash: txHash,
-          paidAt: Date.now(),
-          auto: true
-        });
-        
-        this.mintQueue.push({
-          paymentId: autoPaymentId,
-          userAddress: from,
-          txHash
-        });
-        
-        this.processMintQueue();
-      }
-    } catch (error) {
-      console.error('Error handling USDC transfer:', error);
-    }
+    this.updatePayment(paymentId, { reviewDecision: 'release', reviewedBy: actor, reviewNote: note, reviewedAt: Date.now() });
+    screening?.recordReview(paymentId, 'release', actor, note);
   }
 
-  async processMintQueue() {
-    if (this.isProcessing || this.mintQueue.length === 0) {
-      return;
-    }
+  /**
+   * Mark a payment held by screening for refund. The refund engine sends it
+   * once the payment is final, without a second approval.
+   */
+  refundHeldPayment(paymentId, actor, note) {
+    this.assertHeld(paymentId);
 
-    this.isProcessing = true;
+    this.updatePayment(paymentId, { reviewDecision: 'refund', reviewedBy: actor, reviewNote: note, reviewedAt: Date.now() });
+    screening?.recordReview(paymentId, 'refund', actor, note);
+  }
 
-    while (this.mintQueue.length > 0) {
-      const item = this.mintQueue.shift();
-      
-      try {
-        await this.mintTokens(item.paymentId, item.userAddress, item.txHash);
-      } catch (error) {
-        console.error('Error minting tokens:', error);
-        
-        // Update status
-        const mintData = this.pendingMints.get(item.paymentId);
-        if (mintData) {
-          mintData.status = 'mint_failed';
-          mintData.error = error.message;
-        }
-      }
-    }
+  assertHeld(paymentId) {
+    const data = this.pendingMints.get(paymentId);
 
-    this.isProcessing = false;
+    if (!data) {
+      throw new Error('Payment ID not found');
+    }
+    if (data.status !== 'held_for_review' || data.reviewDecision) {
+      throw new Error(data.reviewDecision
+        ? `Payment was already reviewed (${data.reviewDecision})`
+        : `Payment is ${data.status}, only payments held for review can be reviewed`);
+    }
+    return data;
   }
 
-  async mintTokens(paymentId, userAddress, paymentTxHash) {
-    if (!contract) {
-      throw new Error('Contract not initialized');
+  /**
+   * Check that `address` may receive `units` more mints in the current phase.
+   * Counts the contract's mintsPerAddress plus units paid for but not minted
+   * yet; `includeOpen` adds requests still waiting for payment.
+   * @returns {Promise<object>} The current phase
+   * @throws {EligibilityError}
+   */
+  async checkEligibility(address, units, { proof, includeOpen = false, excludePaymentId } = {}) {
+    const recipient = address.toLowerCase();
+    const phase = phases.current();
+
+    if (!phase) {
+      const next = phases.next();
+      throw new EligibilityError(
+        next ? `Minting opens with the ${next.name} phase at ${new Date(next.start).toISOString()}` : 'Minting is closed',
+        'minting_closed',
+        { nextPhase: next?.name, opensAt: next?.start }
+      );
     }
 
-    console.log(`🎨 Minting tokens for ${userAddress}...`);
-
-    const mintData = this.pendingMints.get(paymentId);
-    if (!mintData) {
-      throw new Error('Payment data not found');
+    if (!phases.isAllowed(phase, recipient, proof)) {
+      throw new EligibilityError(
+        phase.allowlist.type === 'merkle'
+          ? `${recipient} needs a valid allowlist proof for the ${phase.name} phase`
+          : `${recipient} is not on the allowlist for the ${phase.name} phase`,
+        'not_allowlisted',
+        { phase: phase.name }
+      );
     }
 
-    // Update status
-    mintData.status = 'minting';
-    mintData.mintingAt = Date.now();
-
-    try {
-      // Call mintTo function
-      const tx = await contract.mintTo(userAddress);
-      console.log(`📤 Mint transaction sent: ${tx.hash}`);
-      
-      mintData.mintTxHash = tx.hash;
-
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      console.log(`✅ Mint successful! Block: ${receipt.blockNumber}`);
+    if (phase.maxPerAddress > 0) {
+      const minted = contract ? Number(await contract.mintsPerAddress(recipient)) : 0;
+      let committed = 0;
 
-      // Update final status
-      mintData.status = 'completed';
-      mintData.completedAt = Date.now();
-      mintData.mintBlockNumber = receipt.blockNumber;
-
-      // ✅ ADD THIS - Auto-deliver signal data
-  const signalData = {
-    signal: "BUY",
-    confidence: 0.95,
-    timestamp: Date.now(),
-    analysis: {
-      symbol: "X402",
-      price: "Bullish trend detected",
-      recommendation: "Strong buy signal",
-      marketCondition: "Favorable"
-    },
-    deliveredAt: Date.now(),
-    paymentTxHash: paymentTxHash,
-    userAddress: userAddress
-  };
-  
-  deliveredSignals.set(paymentId, signalData);
-  console.log(`📊 Signal data auto-delivered for payment: ${paymentId}`);
+      for (const [paymentId, data] of this.pendingMints) {
+        if (paymentId === excludePaymentId || data.userAddress !== recipient) continue;
 
-  return {
-    success: true,
-    paymentTxHash,
-    mintTxHash: tx.hash,
-    blockNumber: receipt.blockNumber,
-    signalDelivered: true
-  };
+        if (IN_FLIGHT_STATES.includes(data.status)) {
+          committed += Math.max(this.remainingUnits(data), 0);
+        } else if (includeOpen && data.status === 'waiting_for_payment') {
+          committed += data.unitsRequested || 1;
+        }
+      }
 
-    } catch (error) {
-      console.error('Mint transaction failed:', error);
-      mintData.status = 'mint_failed';
-      mintData.error = error.message;
-      throw error;
+      const available = Math.max(phase.maxPerAddress - minted - committed, 0);
+      if (units > available) {
+        throw new EligibilityError(
+          `${recipient} can mint ${available} more in the ${phase.name} phase (cap ${phase.maxPerAddress} per address)`,
+          'cap_reached',
+          { phase: phase.name, maxPerAddress: phase.maxPerAddress, minted, committed, available }
+        );
+      }
     }
+
+    return phase;
   }
 
   getPaymentStatus(paymentId) {
@@ -402,27 +2416,422 @@ class AutomaticUSDCMonitor {
       };
     }
 
+    const asset = paymentAsset(data);
+    const format = (amount) => amount !== undefined ? assets.format(asset, amount) : undefined;
+
     return {
       found: true,
       paymentId: paymentId,
       userAddress: data.userAddress,
+      recipient: data.userAddress,
+      payer: data.payer,
+      matchedBy: data.matchedBy,
+      asset,
+      expectedAmount: format(data.expectedAmount),
+      quote: data.quotedUsdPrice ? {
+        usdPrice: data.quotedUsdPrice,
+        pricePerMint: format(data.unitPrice),
+        lockedUntil: data.expiresAt
+      } : undefined,
       status: data.status,
+      lifecycle: describeState(data.status),
       timestamp: data.timestamp,
+      expiresAt: data.expiresAt,
+      latePayment: data.latePayment,
       txHash: data.txHash,
       mintTxHash: data.mintTxHash,
       paidAt: data.paidAt,
       mintingAt: data.mintingAt,
       completedAt: data.completedAt,
+      amountPaid: format(data.amount),
+      unitsPurchased: data.unitsPurchased ?? (data.txHash ? 1 : undefined),
+      unitsMinted: data.unitsMinted || 0,
+      tokensMinted: (data.unitsMinted || 0) * TOKENS_PER_MINT,
+      leftoverCredit: format(data.creditRemainder),
+      mintTxHashes: data.mintTxHashes,
+      mintNumbers: data.mintNumbers,
+      mintAttempts: data.mintAttempts,
+      nextMintAttemptAt: data.status === 'mint_retrying' ? data.nextMintAttemptAt : undefined,
+      paymentBlockNumber: data.paymentBlockNumber,
+      confirmations: data.confirmations,
+      network: paymentNetwork(data),
+      requiredConfirmations: chains.get(paymentNetwork(data))?.network.confirmations,
       blockNumber: data.mintBlockNumber,
       error: data.error,
-      explorerUrl: data.mintTxHash ? `${BASE_CONFIG.explorer}/tx/${data.mintTxHash}` : undefined
+      cancelReason: data.cancelReason,
+      phase: data.phase,
+      ineligibleReason: data.ineligibleReason,
+      heldAt: data.heldAt,
+      refundReason: data.refundReason,
+      refundAmount: format(data.refundAmount),
+      refundTo: data.refundTo,
+      refundTxHash: data.refundTxHash,
+      refundedAt: data.refundedAt,
+      refundExplorerUrl: data.refundTxHash ? explorerUrl(NETWORKS[paymentNetwork(data)] || {}, `tx/${data.refundTxHash}`) : undefined,
+      explorerUrl: data.mintTxHash ? explorerUrl(NETWORK, `tx/${data.mintTxHash}`) : undefined
     };
   }
 }
 
 // Initialize monitor
 const monitor = new AutomaticUSDCMonitor();
-const deliveredSignals = new Map(); // paymentId -> signal data
+
+// The price schedule counts minted units and units on their way. A completed
+// payment leaves the in-flight count, so it's added to the on-chain count
+// right away and the real total is read once its batch settles.
+let mintsSoldTimer = null;
+const syncMintsSold = () => refreshMintsSold().catch((error) => log.error('Error reading totalMints', { error: error.message }));
+
+mintsSold.inFlight = () => monitor.unitsInFlight();
+monitor.on('status', ({ status, data }) => {
+  if (status !== 'completed') return;
+  mintsSold.onChain += data.unitsMinted || 0;
+  clearTimeout(mintsSoldTimer);
+  mintsSoldTimer = setTimeout(syncMintsSold, 1000);
+});
+setInterval(syncMintsSold, 60000);
+
+monitor.on('status', ({ status, data }) => {
+  if (status === 'completed' && data.paidAt) {
+    mintLatency.observe({}, (data.completedAt - data.paidAt) / 1000);
+  }
+});
+
+// Payment state-transition trail (see PAYMENT_AUDIT_LOG_FILE)
+const paymentAudit = new AuditLog(PAYMENT_AUDIT_LOG_FILE, AUDIT_LOG_OPTIONS);
+
+monitor.on('status', ({ paymentId, status, previous, data }) => {
+  paymentAudit.record({
+    paymentId,
+    from: previous,
+    to: status,
+    recipient: data.userAddress,
+    payer: data.payer,
+    network: data.network,
+    asset: data.asset,
+    txHash: data.txHash,
+    mintTxHash: data.mintTxHash,
+    refundTxHash: data.refundTxHash,
+    unitsPurchased: data.unitsPurchased,
+    unitsMinted: status === 'completed' ? data.unitsMinted : undefined,
+    mintAttempts: data.mintAttempts,
+    ineligibleReason: status === 'ineligible' ? data.ineligibleReason : undefined,
+    cancelReason: status === 'cancelled' ? data.cancelReason : undefined,
+    refundReason: status.startsWith('refund') ? data.refundReason : undefined,
+    error: ['mint_retrying', 'mint_failed', 'ineligible'].includes(status) ? data.error : undefined,
+    refundError: status === 'refund_failed' ? data.refundError : undefined
+  });
+});
+
+// The minter pays gas for every mint - alert before it runs dry
+const refreshMinterBalance = async () => {
+  try {
+    minterBalance.set({}, Number(ethers.formatEther(await provider.getBalance(wallet.address))));
+  } catch (error) {
+    log.error('Error reading minter balance', { error: error.message });
+  }
+};
+if (wallet) {
+  refreshMinterBalance();
+  setInterval(refreshMinterBalance, MINTER_BALANCE_REFRESH_SECONDS * 1000);
+}
+
+// Initialize webhooks
+const webhooks = WEBHOOK_SECRET
+  ? new WebhookDispatcher({
+      secret: WEBHOOK_SECRET,
+      urls: WEBHOOK_URLS,
+      registryFile: WEBHOOKS_FILE,
+      logFile: WEBHOOK_LOG_FILE,
+      logOptions: AUDIT_LOG_OPTIONS,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      retryBaseMs: WEBHOOK_RETRY_BASE_SECONDS * 1000,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+      allowPrivateCallbacks: WEBHOOK_ALLOW_PRIVATE_URLS
+    })
+  : null;
+
+if (webhooks) {
+  monitor.on('status', ({ paymentId, status, data }) => {
+    webhooks.dispatch(status, monitor.getPaymentStatus(paymentId), data.callbackUrl);
+  });
+  webhooks.resume().catch((error) => {
+    log.error('Error resuming webhook deliveries', { error });
+  });
+} else if (WEBHOOK_URLS.length > 0) {
+  log.warn('WEBHOOK_URLS is set but webhooks are disabled: set WEBHOOK_SECRET to sign them');
+}
+
+// Live updates over Server-Sent Events (GET /api/events): `status` for the
+// payment / address a client follows, `mint` and `stats` for everyone
+const events = new EventStream({ maxClients: SSE_MAX_CONNECTIONS, maxPerIp: SSE_MAX_PER_IP });
+let statsBroadcastTimer = null;
+
+monitor.on('update', ({ paymentId, data }) => {
+  if (events.size === 0) return;
+
+  events.broadcast('status', monitor.getPaymentStatus(paymentId), (filter) =>
+    filter.paymentId === paymentId ||
+    (filter.address && (filter.address === data.userAddress || filter.address === data.payer))
+  );
+});
+
+monitor.on('status', ({ paymentId, status, data }) => {
+  if (status !== 'completed' || events.size === 0) return;
+
+  events.broadcast('mint', {
+    paymentId,
+    recipient: data.userAddress,
+    unitsMinted: data.unitsMinted,
+    tokensMinted: data.unitsMinted * TOKENS_PER_MINT,
+    mintTxHash: data.mintTxHash,
+    mintNumbers: data.mintNumbers,
+    completedAt: data.completedAt
+  });
+
+  // A batch completes many payments at once - send one stats update for it
+  clearTimeout(statsBroadcastTimer);
+  statsBroadcastTimer = setTimeout(async () => {
+    try {
+      events.broadcast('stats', await readMintStats());
+    } catch (error) {
+      log.error('Error reading mint stats for stream', { error: error.message });
+    }
+  }, 1000);
+});
+
+/**
+ * Current mint counters from the contract
+ */
+async function readMintStats() {
+  const [totalMints, remaining] = await Promise.all([
+    contract.totalMints(),
+    contract.remainingMints()
+  ]);
+
+  mintsSold.onChain = Number(totalMints);
+
+  return {
+    totalMints: totalMints.toString(),
+    remainingMints: remaining.toString(),
+    maxMints: mintConfig.maxMints,
+    price: formatUsdc(mintPrice())
+  };
+}
+
+/**
+ * Check a per-request callbackUrl. Returns an error message, or null if it's usable.
+ */
+function callbackUrlError(callbackUrl) {
+  if (callbackUrl === undefined) return null;
+  if (!webhooks) return 'Webhooks are not enabled on this server';
+
+  try {
+    assertWebhookUrl(callbackUrl, { allowPrivate: WEBHOOK_ALLOW_PRIVATE_URLS });
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Initialize refunds
+const refunds = new RefundEngine({
+  monitor,
+  networks: refundNetworks,
+  assets,
+  pricePerUnit: USDC_PER_MINT,
+  approvalThreshold: ethers.parseUnits(REFUND_APPROVAL_THRESHOLD_USDC, 6),
+  failedGraceMs: REFUND_FAILED_GRACE_MINUTES * 60 * 1000,
+  stuckPaymentMs: REFUND_STUCK_PAYMENT_HOURS * 60 * 60 * 1000,
+  maxAttempts: REFUND_MAX_ATTEMPTS,
+  retryBaseMs: REFUND_RETRY_BASE_SECONDS * 1000,
+  retryMaxMs: REFUND_RETRY_MAX_SECONDS * 1000
+});
+
+if (provider && usdcContract && USDC_PAYMENT_ADDRESS) {
+  // Resuming only checks each tx once, but sweeps needn't wait for it
+  refunds.resume().catch((error) => {
+    log.error('Error resuming refunds', { error });
+  });
+  refunds.start();
+}
+
+// =============================================================================
+// x402 SETTLEMENT
+// =============================================================================
+
+/**
+ * Verify and settle the request's X-PAYMENT header against the "exact" entry
+ * of `accepts`. On success sets X-PAYMENT-RESPONSE and returns the settlement;
+ * otherwise answers 402 with the reason (403 if `recipient` - the payer by
+ * default - may not mint `units`, or what the payment buys if that's more,
+ * with its allowlist `proof`) and returns null.
+ */
+async function settleX402Payment(req, res, accepts, { recipient, proof, units = 1 } = {}) {
+  const requirements = accepts.find((entry) => entry.scheme === 'exact');
+
+  if (!facilitator) {
+    res.status(503).json({
+      error: 'Service not ready',
+      message: 'x402 settlement requires CONTRACT_ADDRESS and PRIVATE_KEY'
+    });
+    return null;
+  }
+
+  const submittedTxHashes = [];
+
+  try {
+    // Already verified when the route's rate limiter let it through
+    const payment = req.x402Payment || decodePaymentHeader(req.get('X-PAYMENT'));
+    if (!req.x402Payment) await facilitator.verify(payment, requirements);
+
+    // Check before settling - the payment mints tokens too
+    const { from, value } = payment.payload.authorization;
+    const phase = await monitor.checkEligibility(
+      recipient || from,
+      Math.max(units, monitor.currentQuote('USDC', BigInt(value)).unitsPurchased),
+      { proof }
+    );
+
+    // A blocklisted payer or recipient is turned away before any USDC moves
+    const screened = screening?.screen({
+      payer: from,
+      recipient: recipient || from,
+      context: { x402: true, resource: req.path, network: NETWORK.key, asset: 'USDC', amount: String(value) }
+    });
+    if (screened?.decision === 'hit') {
+      log.warn('x402 payment refused: on the screening list', { payer: from, resource: req.path });
+      res.status(403).json(paymentRequiredBody(undefined, 'payment_refused', 'This payment cannot be accepted'));
+      return null;
+    }
+
+    const settlement = await facilitator.settle(payment, (txHash) => {
+      // Claim each version of the tx before the transfer monitor can pick up its log
+      submittedTxHashes.push(txHash);
+      monitor.markTxProcessed(txHash);
+    });
+
+    res.set('X-PAYMENT-RESPONSE', encodePaymentResponse({
+      success: true,
+      transaction: settlement.transaction,
+      network: settlement.network,
+      payer: settlement.payer
+    }));
+
+    return { ...settlement, phase: phase.name };
+  } catch (error) {
+    if (error instanceof EligibilityError) {
+      res.status(403).json(paymentRequiredBody(undefined, error.reason, error.message));
+      return null;
+    }
+
+    log.error('x402 payment rejected', { resource: req.path, reason: error.reason, error: error.message, txHashes: submittedTxHashes });
+
+    for (const txHash of submittedTxHashes) {
+      monitor.releaseTx(txHash);
+    }
+
+    res.status(402).json(paymentRequiredBody(accepts, error.reason || 'unexpected_settle_error', error.message));
+    return null;
+  }
+}
+
+/**
+ * 500 for a request whose x402 payment settled but that failed afterwards.
+ * The response carries the settlement tx so the payer can follow it up;
+ * without a `paymentId` nothing was recorded and support has to step in.
+ */
+function sendSettledError(res, settlement, paymentId, error) {
+  log.error(paymentId ? 'Request failed after its x402 payment was recorded' : 'x402 payment settled but not recorded', {
+    paymentId,
+    txHash: settlement.transaction,
+    payer: settlement.payer,
+    error
+  });
+
+  return res.status(500).json({
+    error: 'Payment settled but the request failed',
+    message: error.message,
+    paymentId: paymentId || undefined,
+    transaction: settlement.transaction,
+    network: settlement.network,
+    payer: settlement.payer
+  });
+}
+
+/**
+ * Require the X-Admin-Key header to match ADMIN_API_KEY
+ */
+const adminAudit = new AuditLog(ADMIN_AUDIT_LOG_FILE, AUDIT_LOG_OPTIONS);
+const usedAdminSignatures = new Map(); // signature -> expiry, blocks replays
+
+/**
+ * Message an admin wallet signs (EIP-191) to authenticate one request
+ */
+function adminMessage(req, timestamp) {
+  const bodyHash = ethers.id(JSON.stringify(req.body ?? {}));
+  return `x402rocks admin\n${req.method} ${req.originalUrl}\n${timestamp}\n${bodyHash}`;
+}
+
+/**
+ * Admin auth: X-Admin-Key, or X-Admin-Signature + X-Admin-Timestamp signed by
+ * one of ADMIN_ADDRESSES. Sets req.admin to who is acting.
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY && ADMIN_ADDRESSES.length === 0) {
+    return res.status(503).json({ error: 'Admin API disabled', message: 'Set ADMIN_API_KEY or ADMIN_ADDRESSES to enable it' });
+  }
+
+  const key = req.get('X-Admin-Key');
+  if (key && ADMIN_API_KEY) {
+    const expected = Buffer.from(ADMIN_API_KEY);
+    const given = Buffer.from(key);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      req.admin = { actor: 'api-key', auth: 'api_key' };
+      return next();
+    }
+  }
+
+  const signature = req.get('X-Admin-Signature');
+  const timestamp = parseInt(req.get('X-Admin-Timestamp') || '', 10);
+  if (signature && ADMIN_ADDRESSES.length > 0 &&
+      Math.abs(Date.now() - timestamp) <= ADMIN_SIGNATURE_MAX_AGE_SECONDS * 1000 &&
+      !usedAdminSignatures.has(signature)) {
+    let signer = null;
+    try {
+      signer = ethers.verifyMessage(adminMessage(req, timestamp), signature).toLowerCase();
+    } catch (error) {
+      // Malformed signature - falls through to 401
+    }
+
+    if (signer && ADMIN_ADDRESSES.includes(signer)) {
+      const now = Date.now();
+      for (const [used, expiresAt] of usedAdminSignatures) {
+        if (expiresAt < now) usedAdminSignatures.delete(used);
+      }
+      usedAdminSignatures.set(signature, now + 2 * ADMIN_SIGNATURE_MAX_AGE_SECONDS * 1000);
+
+      req.admin = { actor: signer, auth: 'signature' };
+      return next();
+    }
+  }
+
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+/**
+ * Run an admin action and write its outcome to the audit log
+ */
+async function runAdminAction(req, res, action, details, fn) {
+  try {
+    const result = await fn();
+    adminAudit.record({ actor: req.admin.actor, auth: req.admin.auth, ip: req.ip, action, ...details, outcome: 'ok' });
+    res.json(result);
+  } catch (error) {
+    adminAudit.record({ actor: req.admin.actor, auth: req.admin.auth, ip: req.ip, action, ...details, outcome: 'rejected', error: error.message });
+    res.status(error.status || (error.message === 'Payment ID not found' ? 404 : 409)).json({ error: `Failed to ${action.replace(/_/g, ' ')}`, message: error.message });
+  }
+}
 
 // =============================================================================
 // API ENDPOINTS
@@ -439,6 +2848,21 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Prometheus metrics (see the METRICS section)
+ */
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN) {
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    const given = Buffer.from(req.get('Authorization') || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Metrics token required' });
+    }
+  }
+
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(await metrics.render());
+});
+
 app.get('/api/info', async (req, res) => {
   if (!CONTRACT_ADDRESS) {
     return res.status(503).json({
@@ -453,98 +2877,47 @@ app.get('/api/info', async (req, res) => {
   }
 
   try {
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const baseUrl = baseUrlFor(req);
     
     res.json({
       // x402scan required fields
-      x402Version: 1,
-      accepts: [
-        {
-          scheme: "exact",
-          network: "base",
-          maxAmountRequired: "1000000",
-          resource: `${baseUrl}/api/request-mint`,
-          description: "Mint 50,000 x402rocks tokens by paying 1 USDC",
-          mimeType: "application/json",
-          payTo: USDC_PAYMENT_ADDRESS,
-          maxTimeoutSeconds: 1800,
-          asset: USDC_ADDRESS,
-          
-          outputSchema: {
-            input: {
-              type: "http",
-              method: "POST",
-              bodyType: "json",
-              bodyFields: {
-                address: {
-                  type: "string",
-                  required: true,
-                  description: "Ethereum address to receive tokens"
-                }
-              }
-            }
-          },
-          
-          extra: {
-            service: 'x402rocks Token Minting',
-            description: 'Mint 50,000 x402rocks tokens with automatic USDC payment detection',
-            contract: {
-              address: CONTRACT_ADDRESS,
-              chain: 'Base Mainnet',
-              chainId: 8453,
-              explorer: `${BASE_CONFIG.explorer}/address/${CONTRACT_ADDRESS}`,
-              tokenSymbol: 'X402',
-              tokensPerMint: '50000'
-            },
-            payment: {
-              method: 'usdc_automatic',
-              amount: '1.00',
-              currency: 'USDC',
-              address: USDC_PAYMENT_ADDRESS,
-              tokenAddress: USDC_ADDRESS,
-              automatic: true,
-              note: 'Send USDC and tokens will be automatically minted to your address'
-            },
-            endpoints: {
-              info: `${baseUrl}/api/info`,
-              stats: `${baseUrl}/api/stats`,
-              requestMint: `${baseUrl}/api/request-mint`,
-              paymentStatus: `${baseUrl}/api/payment-status/:paymentId`,
-              checkPending: `${baseUrl}/api/check-pending/:address`,
-              balance: `${baseUrl}/api/balance/:address`,
-              payaiInfo: `${baseUrl}/api/payai-info`,
-              payaiMint: `${baseUrl}/api/payai-mint`,
-              payaiHealth: `${baseUrl}/api/payai-health`
-            },
-            features: [
-              'automatic-usdc-detection',
-              'no-manual-submission',
-              'instant-minting',
-              'payai-compatible',
-              'x402-protocol'
-            ]
-          }
-        }
-      ],
+      x402Version: X402_VERSION,
+      accepts: resources.allAccepts(baseUrl),
       
       // ✅ BACKWARD COMPATIBILITY - Keep these for your dashboard
       version: '1.0',
       service: 'x402rocks Token Minting',
-      description: 'Mint 50,000 x402rocks tokens with automatic USDC payment detection',
+      description: `Mint ${TOKENS_LABEL} with automatic USDC payment detection`,
+      
+      // Chain the dashboard asks the wallet to switch to. The public RPC is
+      // listed, never ours - it may carry an API key.
+      network: {
+        key: NETWORK.key,
+        name: NETWORK.name,
+        chainId: NETWORK.chainId,
+        rpcUrl: NETWORKS[NETWORK.key].rpcUrl,
+        explorer: NETWORK.explorer,
+        testnet: NETWORK.testnet
+      },
+      acceptedNetworks: ACCEPTED_NETWORKS,
+      acceptedAssets: assets.list(),
+      resources: resources.list(),
+      mintPhases: phases.list(),
       
       contract: {
         address: CONTRACT_ADDRESS,
-        chain: 'Base Mainnet',
-        chainId: 8453,
-        explorer: `${BASE_CONFIG.explorer}/address/${CONTRACT_ADDRESS}`,
-        tokenSymbol: 'X402',
-        tokensPerMint: '50000'
+        chain: NETWORK.name,
+        chainId: NETWORK.chainId,
+        explorer: explorerUrl(NETWORK, `address/${CONTRACT_ADDRESS}`),
+        tokenSymbol: mintConfig.tokenSymbol,
+        tokensPerMint: TOKENS_PER_MINT.toString()
       },
       
       payment: {
         method: 'usdc_automatic',
-        amount: '1.00',
+        amount: formatUsdc(mintPrice()),
         currency: 'USDC',
+        pricing: pricing.describe(mintsSold.onChain + mintsSold.inFlight()),
         address: USDC_PAYMENT_ADDRESS,
         tokenAddress: USDC_ADDRESS,
         automatic: true,
@@ -581,58 +2954,94 @@ app.get('/api/info', async (req, res) => {
   }
 });
 
-// Signal endpoint - returns 402, auto-delivers after payment
-app.get('/signal', (req, res) => {
-  // Force HTTPS for Railway deployment
-  const protocol = req.get('host').includes('railway.app') ? 'https' : req.protocol;
-  const baseUrl = `${protocol}://${req.get('host')}`;
-
-  
-  res.status(402).json({
-    x402Version: 1,
-    error: "Payment required",
-    accepts: [
-      {
-        scheme: "exact",
-        network: "base",
-        maxAmountRequired: "1000000",
-        resource: `${baseUrl}/signal`,
-        description: "Get AI trading signal for 1 USDC - auto-delivered after payment",
-        mimeType: "application/json",
-        payTo: USDC_PAYMENT_ADDRESS,
-        maxTimeoutSeconds: 1800,
-        asset: USDC_ADDRESS,
-        
-        outputSchema: {
-          input: {
-            type: "http",
-            method: "GET"
-          },
-          output: {
-            type: "object",
-            properties: {
-              signal: { type: "string", description: "BUY/SELL/HOLD" },
-              confidence: { type: "number", description: "0-1 confidence score" },
-              timestamp: { type: "number" },
-              analysis: { type: "object" }
-            }
-          }
-        },
-        
-        extra: {
-  service: 'x402-Rocks',
-  price: "1 USDC",
-  delivery: "automatic",
-  note: "Send 1 USDC to payment address. 50000 x402-Rocks delivered automatically within 60 seconds.",
-  checkStatusUrl: `https://x402-rock.up.railway.app/signal/status`  // ✅ Hardcode HTTPS
+/**
+ * Access receipt sent with a request: `Authorization: Bearer <receipt>` or X-Access-Receipt
+ */
+function receiptFromRequest(req) {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  return req.get('X-Access-Receipt') || null;
 }
 
+/**
+ * Route for a paid resource: the content again for a valid access receipt,
+ * otherwise 402 with its requirements until X-PAYMENT settles - then the
+ * resource's fulfillment plus a receipt. The payer also gets their tokens
+ * once the settlement confirms.
+ */
+function paidResourceHandler(resource) {
+  return async (req, res) => {
+    if (!USDC_PAYMENT_ADDRESS) {
+      return res.status(503).json({ error: 'Service not ready' });
+    }
+
+    const baseUrl = baseUrlFor(req);
+    const accepts = resources.accepts(resource, baseUrl);
+
+    const presented = receiptFromRequest(req);
+    if (presented) {
+      try {
+        const { pid } = receipts.verify(presented);
+        const data = monitor.deliveries.get(pid)?.[resource.id];
+        if (!data) {
+          throw new ReceiptError(`No stored ${resource.id} for payment ${pid} - pay again`, 'receipt_expired', 402);
+        }
+
+        const { remaining } = receipts.redeem(presented, resource.id);
+        if (remaining !== null) res.set('X-Receipt-Uses-Remaining', String(remaining));
+        return res.json({ paymentId: pid, ...data });
+      } catch (error) {
+        if (!(error instanceof ReceiptError)) {
+          log.error('Error redeeming access receipt', { resource: resource.id, error });
+          return res.status(500).json({ error: `Failed to serve ${resource.id}`, message: error.message });
+        }
+        return res.status(error.status).json(
+          paymentRequiredBody(error.status === 402 ? accepts : undefined, error.reason, error.message)
+        );
       }
-    ]
-  });
-});
+    }
+
+    if (!req.get('X-PAYMENT')) {
+      // Plain-transfer options ride alongside `accepts`, never in it
+      return res.status(402).json({ ...paymentRequiredBody(accepts), transfers: resources.transfers(resource) });
+    }
+
+    const settlement = await settleX402Payment(req, res, accepts);
+    if (!settlement) return;
+
+    let paymentId = null;
+    try {
+      paymentId = monitor.recordX402Payment(settlement.payer, settlement, resource.path);
+    } catch (error) {
+      return sendSettledError(res, settlement, paymentId, error);
+    }
+
+    try {
+      const data = await resource.fulfill({ paymentId, payment: monitor.pendingMints.get(paymentId) });
+      const receipt = monitor.deliver(paymentId, resource.id, data);
+      res.set('X-Access-Receipt', receipt.token);
+      res.json({ paymentId, ...data, accessReceipt: receipt });
+    } catch (error) {
+      // Paid for - delivery is tried again once the mint completes
+      res.status(500).json({
+        paymentId,
+        error: `Failed to deliver ${resource.id}`,
+        message: error.message,
+        statusEndpoint: `${baseUrl}/api/payment-status/${paymentId}`
+      });
+    }
+  };
+}
+
+// Every resource with a fulfillment handler gets its route (/signal, ...)
+for (const resource of resources.values()) {
+  if (resource.fulfill) {
+    app[resource.method.toLowerCase()](resource.path, paidResourceHandler(resource));
+  }
+}
 
-// Check signal delivery status
+// Check signal delivery status. The signal itself is only handed out for an
+// access receipt (see POST /api/receipts/claim), not to anyone with the address.
 app.get('/signal/status', (req, res) => {
   const { address } = req.query;
   
@@ -642,28 +3051,81 @@ app.get('/signal/status', (req, res) => {
       usage: '/signal/status?address=0x...'
     });
   }
-  
-  // Find payment for this address
-  let foundSignal = null;
-  for (const [paymentId, data] of monitor.pendingMints.entries()) {
-    if (data.userAddress === address.toLowerCase() && data.status === 'completed') {
-      foundSignal = deliveredSignals.get(paymentId);
-      if (foundSignal) break;
-    }
+  
+  // Find payment for this address
+  let deliveredFor = null;
+  for (const [paymentId, data] of monitor.pendingMints.entries()) {
+    if (data.userAddress === address.toLowerCase() && data.status === 'completed' &&
+        monitor.deliveries.get(paymentId)?.signal) {
+      deliveredFor = paymentId;
+      break;
+    }
+  }
+  
+  if (!deliveredFor) {
+    return res.json({
+      status: 'pending',
+      message: `No signal delivered yet. Send ${priceLabel()} to receive signal.`,
+      paymentAddress: USDC_PAYMENT_ADDRESS
+    });
+  }
+  
+  res.json({
+    status: 'delivered',
+    paymentId: deliveredFor,
+    message: 'Claim your access receipt with POST /api/receipts/claim, then GET /signal with it'
+  });
+});
+
+/**
+ * Message the payer (or recipient) signs to claim a payment's access receipts
+ */
+function receiptClaimMessage(paymentId, timestamp) {
+  return `x402rocks access receipt\n${paymentId}\n${timestamp}`;
+}
+
+/**
+ * Access receipts for what a payment bought. Body: { paymentId, timestamp,
+ * signature } where signature is a personal_sign of receiptClaimMessage() by
+ * the payer or the recipient.
+ */
+app.post('/api/receipts/claim', (req, res) => {
+  const { paymentId, timestamp, signature } = req.body || {};
+  const data = monitor.pendingMints.get(paymentId);
+
+  if (!data) {
+    return res.status(404).json({ error: 'Payment ID not found' });
+  }
+  if (!Number.isFinite(Number(timestamp)) ||
+      Math.abs(Date.now() - Number(timestamp)) > RECEIPT_CLAIM_MAX_AGE_SECONDS * 1000) {
+    return res.status(401).json({
+      error: 'Stale or missing timestamp',
+      message: `Sign a timestamp (ms) from the last ${RECEIPT_CLAIM_MAX_AGE_SECONDS / 60} minutes`
+    });
+  }
+
+  let signer = null;
+  try {
+    signer = ethers.verifyMessage(receiptClaimMessage(paymentId, timestamp), signature).toLowerCase();
+  } catch (error) {
+    // Malformed signature - rejected below
   }
-  
-  if (!foundSignal) {
-    return res.json({
-      status: 'pending',
-      message: 'No signal delivered yet. Send 1 USDC to receive signal.',
-      paymentAddress: USDC_PAYMENT_ADDRESS
+  if (!signer || (signer !== data.payer && signer !== data.userAddress)) {
+    return res.status(403).json({ error: 'Signature is not from the payer or recipient of this payment' });
+  }
+
+  const delivered = Object.keys(monitor.deliveries.get(paymentId) || {});
+  if (delivered.length === 0) {
+    return res.status(409).json({
+      error: 'Nothing delivered yet',
+      message: 'Receipts are issued once the payment is minted',
+      status: data.status
     });
   }
-  
-  // Return the signal data
+
   res.json({
-    status: 'delivered',
-    signal: foundSignal
+    paymentId,
+    receipts: delivered.map((resource) => receipts.issue({ paymentId, resource, payer: data.payer || data.userAddress }))
   });
 });
 
@@ -673,36 +3135,33 @@ app.get('/api/stats', async (req, res) => {
     return res.json({
       error: 'Contract not deployed',
       totalMints: '0',
-      remainingMints: '40000',
-      maxMints: 40000,
-      tokensPerMint: 50000,
+      remainingMints: mintConfig.maxMints.toString(),
+      maxMints: mintConfig.maxMints,
+      tokensPerMint: TOKENS_PER_MINT,
       price: {
-        usdc: '1.00',
-        currency: 'USDC'
+        usdc: formatUsdc(mintPrice()),
+        currency: 'USDC',
+        schedule: pricing.describe(mintsSold.onChain + mintsSold.inFlight())
       }
     });
   }
 
   try {
-    const [totalMints, remaining] = await Promise.all([
-      contract.totalMints(),
-      contract.remainingMints()
-    ]);
+    const stats = await readMintStats();
 
     res.json({
-      totalMints: totalMints.toString(),
-      remainingMints: remaining.toString(),
-      maxMints: 40000,
-      tokensPerMint: 50000,
-      totalSupply: (Number(totalMints) * 50000).toString(),
+      ...stats,
+      tokensPerMint: TOKENS_PER_MINT,
+      totalSupply: (Number(stats.totalMints) * TOKENS_PER_MINT).toString(),
       price: {
-        usdc: '1.00',
-        currency: 'USDC'
+        usdc: formatUsdc(mintPrice()),
+        currency: 'USDC',
+        schedule: pricing.describe(mintsSold.onChain + mintsSold.inFlight())
       },
       contract: {
         address: CONTRACT_ADDRESS,
-        chain: 'Base Mainnet',
-        explorer: `${BASE_CONFIG.explorer}/address/${CONTRACT_ADDRESS}`
+        chain: NETWORK.name,
+        explorer: explorerUrl(NETWORK, `address/${CONTRACT_ADDRESS}`)
       },
       monitoring: {
         active: true,
@@ -717,18 +3176,125 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
+// Unpaid requests are limited per client IP and per recipient address
+const requestLimits = {
+  ip: new RateLimiter({ name: 'IP address', limit: RATE_LIMIT_PER_IP, windowSeconds: RATE_LIMIT_WINDOW_SECONDS }),
+  address: new RateLimiter({ name: 'address', limit: RATE_LIMIT_PER_ADDRESS, windowSeconds: RATE_LIMIT_WINDOW_SECONDS })
+};
+
+/**
+ * 429 with Retry-After for a RateLimitError
+ */
+function sendRateLimited(res, error) {
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message: error.message,
+    retryAfter: error.retryAfter
+  });
+}
+
+/**
+ * 403 for an address the current mint phase doesn't allow (or allow more)
+ */
+function sendIneligible(res, error) {
+  return res.status(403).json({
+    error: 'Not eligible to mint',
+    reason: error.reason,
+    message: error.message,
+    ...error.details
+  });
+}
+
+/**
+ * `units` from a request-mint body, or 1 if it's missing or invalid (the
+ * route itself answers 400 for an invalid one)
+ */
+function requestedUnits(req) {
+  const units = Number(req.body?.units ?? 1);
+  return Number.isInteger(units) && units >= 1 && units <= MAX_UNITS_PER_REQUEST ? units : 1;
+}
+
+function isMerkleProof(proof) {
+  return Array.isArray(proof) && proof.length <= 64 && proof.every((node) => ethers.isHexString(node, 32));
+}
+
+/**
+ * Count a payment request against the caller's IP and the recipient address
+ * in `req.body[addressField]`. On a route that settles x402 (`accepts` gives
+ * its requirements), a request whose X-PAYMENT verifies isn't limited; the
+ * verified payment and the `accepts` it was checked against are left on
+ * `req.x402Payment` and `req.x402Accepts` for the route to settle.
+ */
+function limitPaymentRequests(addressField, accepts) {
+  return async (req, res, next) => {
+    if (accepts && facilitator && req.get('X-PAYMENT')) {
+      try {
+        const payment = decodePaymentHeader(req.get('X-PAYMENT'));
+        const requirements = accepts(req);
+        await facilitator.verify(payment, requirements.find((entry) => entry.scheme === 'exact'));
+        req.x402Payment = payment;
+        req.x402Accepts = requirements;
+        return next();
+      } catch (error) {
+        // Counted like an unpaid request; the route answers with the 402
+      }
+    }
+
+    try {
+      requestLimits.ip.hit(req.ip);
+      const address = req.body?.[addressField];
+      if (typeof address === 'string') requestLimits.address.hit(address.toLowerCase());
+      next();
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) return next(error);
+      sendRateLimited(res, error);
+    }
+  };
+}
+
 /**
- * Request mint - returns payment instructions with automatic monitoring
+ * Request mint - returns payment instructions with automatic monitoring. An
+ * x402 payment for N units must cover N mints at the N-unit price.
  */
-app.post('/api/request-mint', (req, res) => {
-  const { address } = req.body;
+app.post('/api/request-mint', limitPaymentRequests('address', (req) => resources.accepts(mintResource, baseUrlFor(req), requestedUnits(req))), async (req, res) => {
+  const { address, callbackUrl, asset = 'USDC', proof } = req.body;
+  const units = req.body.units === undefined ? 1 : Number(req.body.units);
+  const xPayment = req.get('X-PAYMENT');
 
-  if (!address || !ethers.isAddress(address)) {
+  // With X-PAYMENT the address is optional - tokens default to the payer
+  if ((!xPayment && !address) || (address && !ethers.isAddress(address))) {
     return res.status(400).json({
       error: 'Invalid address provided'
     });
   }
 
+  if (!Number.isInteger(units) || units < 1 || units > MAX_UNITS_PER_REQUEST) {
+    return res.status(400).json({
+      error: 'Invalid units',
+      message: `units must be a whole number between 1 and ${MAX_UNITS_PER_REQUEST}`
+    });
+  }
+
+  const callbackError = callbackUrlError(callbackUrl);
+  if (callbackError) {
+    return res.status(400).json({ error: 'Invalid callbackUrl', message: callbackError });
+  }
+
+  if (proof !== undefined && !isMerkleProof(proof)) {
+    return res.status(400).json({
+      error: 'Invalid proof',
+      message: 'proof must be an array of 32-byte hex strings (the allowlist Merkle proof for address)'
+    });
+  }
+
+  if (!assets.symbols.includes(asset)) {
+    return res.status(400).json({
+      error: 'Invalid asset',
+      message: `asset must be one of: ${assets.symbols.join(', ')}`
+    });
+  }
+
   if (!CONTRACT_ADDRESS || !USDC_PAYMENT_ADDRESS) {
     return res.status(503).json({
       error: 'Service not ready',
@@ -736,11 +3302,37 @@ app.post('/api/request-mint', (req, res) => {
     });
   }
 
+  if (xPayment) {
+    const baseUrl = baseUrlFor(req);
+    const accepts = req.x402Accepts || resources.accepts(mintResource, baseUrl, units);
+    const settlement = await settleX402Payment(req, res, accepts, { recipient: address, proof, units });
+    if (!settlement) return;
+
+    let paymentId = null;
+    try {
+      paymentId = monitor.recordX402Payment(address || settlement.payer, settlement, mintResource.path, {
+        unitsRequested: units,
+        callbackUrl,
+        allowlistProof: proof
+      }, BigInt(accepts[0].maxAmountRequired) / BigInt(units));
+
+      return res.json({
+        ...monitor.getPaymentStatus(paymentId),
+        statusEndpoint: `${baseUrl}/api/payment-status/${paymentId}`
+      });
+    } catch (error) {
+      return sendSettledError(res, settlement, paymentId, error);
+    }
+  }
+
   try {
-    const instructions = monitor.createPaymentInstructions(req, address);
+    const phase = await monitor.checkEligibility(address, units, { proof, includeOpen: true });
+    const instructions = monitor.createPaymentInstructions(req, address, { units, callbackUrl, asset, phase: phase.name, proof });
     res.json(instructions);
   } catch (error) {
-    res.status(500).json({
+    if (error instanceof RateLimitError) return sendRateLimited(res, error);
+    if (error instanceof EligibilityError) return sendIneligible(res, error);
+    res.status(error.status || 500).json({
       error: 'Failed to create payment instructions',
       details: error.message
     });
@@ -750,9 +3342,9 @@ app.post('/api/request-mint', (req, res) => {
 /**
  * PayAI mint endpoint
  */
-app.post('/api/payai-mint', async (req, res) => {
+app.post('/api/payai-mint', limitPaymentRequests('recipientAddress'), async (req, res) => {
   try {
-    const { recipientAddress, agentId, metadata } = req.body;
+    const { recipientAddress, agentId, metadata, callbackUrl } = req.body;
 
     if (!recipientAddress || !recipientAddress.startsWith('0x') || recipientAddress.length !== 42) {
       return res.status(400).json({ 
@@ -761,8 +3353,14 @@ app.post('/api/payai-mint', async (req, res) => {
       });
     }
 
+    const callbackError = callbackUrlError(callbackUrl);
+    if (callbackError) {
+      return res.status(400).json({ error: 'Invalid callbackUrl', details: callbackError });
+    }
+
     // Use the monitor's payment system
-    const instructions = monitor.createPaymentInstructions(req, recipientAddress);
+    const phase = await monitor.checkEligibility(recipientAddress, 1, { includeOpen: true });
+    const instructions = monitor.createPaymentInstructions(req, recipientAddress, { callbackUrl, phase: phase.name });
 
     // Return PayAI-compatible response
     res.json({
@@ -771,22 +3369,22 @@ app.post('/api/payai-mint', async (req, res) => {
       
       payment: {
         address: USDC_PAYMENT_ADDRESS,
-        amount: '1000000',
-        amountFormatted: '1 USDC',
+        amount: instructions.payment.usdc.amount,
+        amountFormatted: `${instructions.payment.amount} USDC`,
         token: USDC_ADDRESS,
         tokenSymbol: 'USDC',
-        chain: 'Base',
-        chainId: 8453,
-        network: 'mainnet'
+        chain: NETWORK.name,
+        chainId: NETWORK.chainId,
+        network: NETWORK.testnet ? 'testnet' : 'mainnet'
       },
       
       receive: {
-        amount: '50000',
-        token: 'X402',
+        amount: (instructions.units * TOKENS_PER_MINT).toString(),
+        token: mintConfig.tokenSymbol,
         tokenAddress: CONTRACT_ADDRESS
       },
       
-      instructions: 'Send exactly 1 USDC to the payment address. Tokens will be minted automatically within 60 seconds.',
+      instructions: `Send exactly ${instructions.payment.amount} USDC to the payment address from any wallet. Tokens will be minted to ${instructions.recipient} automatically within 60 seconds.`,
       
       statusUrl: instructions.monitoring.statusEndpoint,
       
@@ -795,8 +3393,10 @@ app.post('/api/payai-mint', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('PayAI mint error:', error);
-    res.status(500).json({ 
+    if (error instanceof RateLimitError) return sendRateLimited(res, error);
+    if (error instanceof EligibilityError) return sendIneligible(res, error);
+    log.error('PayAI mint error', { error });
+    res.status(error.status || 500).json({ 
       error: 'Failed to process PayAI mint request',
       message: error.message 
     });
@@ -813,6 +3413,356 @@ app.get('/api/payment-status/:paymentId', (req, res) => {
   res.json(status);
 });
 
+/**
+ * Live updates (Server-Sent Events). `?paymentId=` and/or `?address=` pick
+ * which payments' `status` events to receive; every client gets `mint` and
+ * `stats`. The current status of a followed payment is sent right away.
+ */
+app.get('/api/events', (req, res) => {
+  const { paymentId, address } = req.query;
+
+  if (address && !ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address' });
+  }
+
+  let client;
+  try {
+    client = events.open(req, res, {
+      paymentId: paymentId ? String(paymentId) : null,
+      address: address ? address.toLowerCase() : null
+    });
+  } catch (error) {
+    if (!(error instanceof EventStreamFullError)) throw error;
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({
+      error: error.status === 429 ? 'Too many requests' : 'Service unavailable',
+      message: error.message,
+      retryAfter: error.retryAfter
+    });
+  }
+
+  if (paymentId) {
+    events.send(client, 'status', monitor.getPaymentStatus(String(paymentId)));
+  }
+});
+
+/**
+ * List refunds (admin)
+ */
+app.get('/api/refunds', requireAdmin, (req, res) => {
+  const refundStatuses = ['refund_pending_approval', 'refund_pending', 'refunding', 'refunded', 'refund_failed'];
+  const { status } = req.query;
+
+  const items = [...monitor.pendingMints.keys()]
+    .map((paymentId) => monitor.getPaymentStatus(paymentId))
+    .filter((payment) => status ? payment.status === status : refundStatuses.includes(payment.status));
+
+  res.json({ count: items.length, refunds: items });
+});
+
+/**
+ * Approve a refund held above the approval threshold (admin)
+ */
+app.post('/api/refunds/:paymentId/approve', requireAdmin, (req, res) => {
+  const { paymentId } = req.params;
+  const note = req.body?.note;
+
+  runAdminAction(req, res, 'approve_refund', { paymentId, note }, () => {
+    refunds.approve(paymentId, req.admin.actor, note);
+    return monitor.getPaymentStatus(paymentId);
+  });
+});
+
+/**
+ * Queue a refund_failed refund again (admin)
+ */
+app.post('/api/refunds/:paymentId/retry', requireAdmin, (req, res) => {
+  const { paymentId } = req.params;
+
+  runAdminAction(req, res, 'retry_refund', { paymentId }, () => {
+    refunds.retry(paymentId, req.admin.actor);
+    return monitor.getPaymentStatus(paymentId);
+  });
+});
+
+/**
+ * List payments, filtered by status and/or address (recipient or payer) (admin)
+ */
+app.get('/api/admin/payments', requireAdmin, (req, res) => {
+  const { status, address } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  const offset = parseInt(req.query.offset || '0', 10) || 0;
+  const statuses = status ? String(status).split(',') : null;
+  const normalizedAddress = address ? String(address).toLowerCase() : null;
+
+  const matches = [...monitor.pendingMints.entries()]
+    .filter(([, data]) => !statuses || statuses.includes(data.status))
+    .filter(([, data]) => !normalizedAddress || data.userAddress === normalizedAddress || data.payer === normalizedAddress)
+    .sort(([, a], [, b]) => b.timestamp - a.timestamp);
+
+  res.json({
+    total: matches.length,
+    offset,
+    limit,
+    payments: matches.slice(offset, offset + limit).map(([paymentId]) => monitor.getPaymentStatus(paymentId))
+  });
+});
+
+/**
+ * Full stored record for one payment (admin)
+ */
+app.get('/api/admin/payments/:paymentId', requireAdmin, (req, res) => {
+  const data = monitor.pendingMints.get(req.params.paymentId);
+
+  if (!data) {
+    return res.status(404).json({ error: 'Payment ID not found' });
+  }
+
+  res.json({ ...monitor.getPaymentStatus(req.params.paymentId), record: data });
+});
+
+/**
+ * Send a mint_failed payment back to the mint queue (admin)
+ */
+app.post('/api/admin/payments/:paymentId/retry', requireAdmin, (req, res) => {
+  const { paymentId } = req.params;
+
+  runAdminAction(req, res, 'retry_mint', { paymentId }, () => {
+    monitor.retryMint(paymentId);
+    return monitor.getPaymentStatus(paymentId);
+  });
+});
+
+/**
+ * Attach an unmatched payment (by its tx hash) to a request (admin)
+ */
+app.post('/api/admin/payments/:paymentId/attach', requireAdmin, (req, res) => {
+  const { paymentId } = req.params;
+  const { txHash } = req.body || {};
+
+  runAdminAction(req, res, 'attach_payment', { paymentId, txHash }, async () => {
+    if (!ethers.isHexString(txHash, 32)) {
+      throw Object.assign(new Error('txHash must be a transaction hash'), { status: 400 });
+    }
+    const attachedFrom = await monitor.attachPayment(paymentId, txHash);
+    return { ...monitor.getPaymentStatus(paymentId), attachedFrom };
+  });
+});
+
+/**
+ * Cancel a request that hasn't been paid (admin)
+ */
+app.post('/api/admin/payments/:paymentId/cancel', requireAdmin, (req, res) => {
+  const { paymentId } = req.params;
+  const reason = req.body?.reason || `Cancelled by ${req.admin.actor}`;
+
+  runAdminAction(req, res, 'cancel_request', { paymentId, reason }, () => {
+    monitor.cancelRequest(paymentId, reason);
+    return monitor.getPaymentStatus(paymentId);
+  });
+});
+
+/**
+ * Clear a payment held by screening - it continues as if it had passed (admin)
+ */
+app.post('/api/admin/payments/:paymentId/release', requireAdmin, (req, res) => {
+  const { paymentId } = req.params;
+  const note = req.body?.note;
+
+  runAdminAction(req, res, 'release_held_payment', { paymentId, note }, async () => {
+    await monitor.releaseHeldPayment(paymentId, req.admin.actor, note);
+    return monitor.getPaymentStatus(paymentId);
+  });
+});
+
+/**
+ * Refund a payment held by screening (admin)
+ */
+app.post('/api/admin/payments/:paymentId/refund', requireAdmin, (req, res) => {
+  const { paymentId } = req.params;
+  const note = req.body?.note;
+
+  runAdminAction(req, res, 'refund_held_payment', { paymentId, note }, () => {
+    monitor.refundHeldPayment(paymentId, req.admin.actor, note);
+    refunds.sweep();
+    return monitor.getPaymentStatus(paymentId);
+  });
+});
+
+/**
+ * Mint queue state (admin)
+ */
+app.get('/api/admin/queue', requireAdmin, (req, res) => {
+  res.json({
+    paused: monitor.mintQueuePaused,
+    processing: monitor.isProcessing,
+    length: monitor.mintQueue.length,
+    items: monitor.mintQueue.map((item) => ({ ...item, status: monitor.pendingMints.get(item.paymentId)?.status }))
+  });
+});
+
+app.post('/api/admin/queue/pause', requireAdmin, (req, res) => {
+  runAdminAction(req, res, 'pause_queue', {}, () => {
+    monitor.setMintQueuePaused(true);
+    return { paused: true, length: monitor.mintQueue.length };
+  });
+});
+
+app.post('/api/admin/queue/resume', requireAdmin, (req, res) => {
+  runAdminAction(req, res, 'resume_queue', {}, () => {
+    monitor.setMintQueuePaused(false);
+    return { paused: false, length: monitor.mintQueue.length };
+  });
+});
+
+/**
+ * Accepted payment assets and their prices (admin)
+ */
+app.get('/api/admin/assets', requireAdmin, (req, res) => {
+  res.json({ assets: assets.list() });
+});
+
+/**
+ * Set the USD price non-USDC payments are quoted at. Open requests keep the
+ * quote they were given.
+ */
+app.post('/api/admin/assets/:symbol/price', requireAdmin, (req, res) => {
+  const { symbol } = req.params;
+  const { usd } = req.body || {};
+
+  runAdminAction(req, res, 'set_asset_price', { symbol, usd }, () => {
+    assets.setPrice(symbol, usd, req.admin.actor);
+    return { assets: assets.list() };
+  });
+});
+
+/**
+ * Recent admin actions, newest first (admin)
+ */
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  res.json({ entries: adminAudit.recent(limit) });
+});
+
+/**
+ * What happened to a payment: its status changes and the admin actions on
+ * it, oldest first. Look up by paymentId, txHash (payment, mint or refund)
+ * or address (recipient or payer) (admin)
+ */
+app.get('/api/admin/audit/payments', requireAdmin, async (req, res) => {
+  const { paymentId, txHash, address } = req.query;
+  if (!paymentId && !txHash && !address) {
+    return res.status(400).json({ error: 'Pass paymentId, txHash or address' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '1000', 10) || 1000, 10000);
+  const hash = txHash ? String(txHash).toLowerCase() : null;
+  const normalizedAddress = address ? String(address).toLowerCase() : null;
+
+  try {
+    // A tx hash or address first resolves to the payments it touched
+    const paymentIds = new Set(paymentId ? [String(paymentId)] : []);
+    if (hash || normalizedAddress) {
+      const touched = await paymentAudit.find((entry) =>
+        (hash && [entry.txHash, entry.mintTxHash, entry.refundTxHash].some((value) => value?.toLowerCase() === hash)) ||
+        (normalizedAddress && (entry.recipient === normalizedAddress || entry.payer === normalizedAddress))
+      , Infinity);
+      touched.forEach((entry) => paymentIds.add(entry.paymentId));
+    }
+
+    const [transitions, adminActions] = await Promise.all([
+      paymentAudit.find((entry) => paymentIds.has(entry.paymentId), limit),
+      adminAudit.find((entry) => paymentIds.has(entry.paymentId), limit)
+    ]);
+
+    res.json({
+      paymentIds: [...paymentIds],
+      transitions,
+      adminActions,
+      current: [...paymentIds]
+        .filter((id) => monitor.pendingMints.has(id))
+        .map((id) => monitor.getPaymentStatus(id))
+    });
+  } catch (error) {
+    log.error('Error searching the audit logs', { error });
+    res.status(500).json({ error: 'Failed to search the audit logs', message: error.message });
+  }
+});
+
+/**
+ * Screening list in force and recent decisions, newest first (admin)
+ */
+app.get('/api/admin/screening', requireAdmin, (req, res) => {
+  if (!screening) {
+    return res.status(503).json({ error: 'Screening disabled', message: 'Set SCREENING_LIST_FILE to enable it' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  res.json({ list: screening.describe(), entries: screening.log.recent(limit) });
+});
+
+/**
+ * Re-read the screening list now instead of waiting for the file watcher (admin)
+ */
+app.post('/api/admin/screening/reload', requireAdmin, (req, res) => {
+  if (!screening) {
+    return res.status(503).json({ error: 'Screening disabled', message: 'Set SCREENING_LIST_FILE to enable it' });
+  }
+
+  runAdminAction(req, res, 'reload_screening_list', {}, () => {
+    const { changed } = screening.reload();
+    return { ...screening.describe(), changed };
+  });
+});
+
+/**
+ * Global webhooks (admin)
+ */
+app.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+  if (!webhooks) {
+    return res.status(503).json({ error: 'Webhooks disabled', message: 'Set WEBHOOK_SECRET to enable them' });
+  }
+  res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.list() });
+});
+
+app.post('/api/admin/webhooks', requireAdmin, (req, res) => {
+  const { url, events } = req.body || {};
+
+  runAdminAction(req, res, 'register_webhook', { url, events }, () => {
+    if (!webhooks) {
+      throw Object.assign(new Error('Set WEBHOOK_SECRET to enable webhooks'), { status: 503 });
+    }
+    webhooks.register(url, events || WEBHOOK_EVENTS);
+    return { webhooks: webhooks.list() };
+  });
+});
+
+app.delete('/api/admin/webhooks', requireAdmin, (req, res) => {
+  const { url } = req.body || {};
+
+  runAdminAction(req, res, 'unregister_webhook', { url }, () => {
+    if (!webhooks) {
+      throw Object.assign(new Error('Set WEBHOOK_SECRET to enable webhooks'), { status: 503 });
+    }
+    webhooks.unregister(url);
+    return { webhooks: webhooks.list() };
+  });
+});
+
+/**
+ * Webhook delivery log, latest state per delivery (admin)
+ */
+app.get('/api/admin/webhooks/deliveries', requireAdmin, (req, res) => {
+  if (!webhooks) {
+    return res.status(503).json({ error: 'Webhooks disabled', message: 'Set WEBHOOK_SECRET to enable them' });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 1000);
+  res.json({
+    deliveries: webhooks.recentDeliveries({ paymentId: req.query.paymentId, state: req.query.state }, limit)
+  });
+});
+
 /**
  * Check if address has pending payment
  */
@@ -854,7 +3804,7 @@ app.get('/api/balance/:address', async (req, res) => {
     return res.json({
       address: address,
       balance: '0',
-      symbol: 'X402',
+      symbol: mintConfig.tokenSymbol,
       note: 'Contract not deployed'
     });
   }
@@ -865,11 +3815,11 @@ app.get('/api/balance/:address', async (req, res) => {
 
     res.json({
       address: address,
-      balance: ethers.formatUnits(balance, 18),
+      balance: ethers.formatUnits(balance, mintConfig.tokenDecimals),
       mints: mints.toString(),
-      symbol: 'X402',
+      symbol: mintConfig.tokenSymbol,
       contract: CONTRACT_ADDRESS,
-      explorer: `${BASE_CONFIG.explorer}/token/${CONTRACT_ADDRESS}?a=${address}`
+      explorer: explorerUrl(NETWORK, `token/${CONTRACT_ADDRESS}?a=${address}`)
     });
   } catch (error) {
     res.status(500).json({
@@ -892,59 +3842,29 @@ app.get('/api/payai-health', (req, res) => {
 
 // Root endpoint - check for x402scan query parameter
 app.get('/', (req, res) => {
-  const baseUrl = `${req.protocol}://${req.get('host')}`;
-  
-  // If ?x402 query param or JSON accept header, return 402
-  if (req.query.x402 !== undefined || req.path === '/.well-known/payment-required') {
-    return res.status(402).json({
-      x402Version: 1,
-      error: "Payment required",
-      accepts: [
-        {
-          scheme: "exact",
-          network: "base",
-          maxAmountRequired: "1000000",
-          resource: `${baseUrl}/api/request-mint`,
-          description: "Mint 50,000 x402rocks tokens by paying 1 USDC",
-          mimeType: "application/json",
-          payTo: USDC_PAYMENT_ADDRESS,
-          maxTimeoutSeconds: 1800,
-          asset: USDC_ADDRESS,
-          
-          outputSchema: {
-            input: {
-              type: "http",
-              method: "POST",
-              bodyType: "json",
-              bodyFields: {
-                address: {
-                  type: "string",
-                  required: true,
-                  description: "Ethereum address to receive tokens"
-                }
-              }
-            }
-          },
-          
-          extra: {
-            service: 'x402rocks',
-            contractAddress: CONTRACT_ADDRESS,
-            chainId: 8453,
-            dashboardUrl: baseUrl,
-            infoUrl: `${baseUrl}/api/info`
-          }
-        }
-      ]
-    });
+  // x402scan probes with ?x402 - answer with every paid resource's requirements
+  if (req.query.x402 !== undefined) {
+    if (!USDC_PAYMENT_ADDRESS) {
+      return res.status(503).json({ error: 'Service not ready' });
+    }
+    return res.status(402).json(paymentRequiredBody(resources.allAccepts(baseUrlFor(req))));
   }
   
   // Serve dashboard for regular requests
   res.sendFile('index.html', { root: './public' });
 });
 
+// Discovery document: every paid resource with its payment requirements
+app.get('/.well-known/payment-required', (req, res) => {
+  if (!USDC_PAYMENT_ADDRESS) {
+    return res.status(503).json({ error: 'Service not ready' });
+  }
+  res.json(resources.discovery(baseUrlFor(req)));
+});
+
 // Also add dedicated 402 endpoint
 app.post('/.well-known/payment-required', (req, res) => {
-  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const baseUrl = baseUrlFor(req);
   
   if (!CONTRACT_ADDRESS || !USDC_PAYMENT_ADDRESS) {
     return res.status(503).json({
@@ -955,23 +3875,23 @@ app.post('/.well-known/payment-required', (req, res) => {
   // Return payment instructions without requiring address
   res.json({
     success: true,
-    message: "Send exactly 1 USDC to the payment address below. Tokens will be automatically minted to your wallet within 60 seconds.",
+    message: `Send exactly ${priceLabel()} to the payment address below. Tokens will be automatically minted to your wallet within 60 seconds.`,
     
     payment: {
       method: "USDC Transfer",
       address: USDC_PAYMENT_ADDRESS,
-      amount: "1000000",
-      amountFormatted: "1 USDC",
+      amount: mintPrice().toString(),
+      amountFormatted: priceLabel(),
       token: USDC_ADDRESS,
       tokenSymbol: "USDC",
-      network: "Base Mainnet",
-      chainId: 8453,
-      explorer: `https://basescan.org/address/${USDC_PAYMENT_ADDRESS}`
+      network: NETWORK.name,
+      chainId: NETWORK.chainId,
+      explorer: explorerUrl(NETWORK, `address/${USDC_PAYMENT_ADDRESS}`)
     },
     
     receive: {
-      amount: "50000",
-      token: "X402",
+      amount: TOKENS_PER_MINT.toString(),
+      token: mintConfig.tokenSymbol,
       contractAddress: CONTRACT_ADDRESS,
       note: "Tokens minted to the address that sends USDC"
     },
@@ -980,7 +3900,7 @@ app.post('/.well-known/payment-required', (req, res) => {
     estimatedTime: "30-60 seconds",
     
     instructions: [
-      "1. Send exactly 1 USDC to the payment address",
+      `1. Send exactly ${priceLabel()} to the payment address`,
       "2. Our system automatically detects your payment",
       "3. Tokens are minted to your wallet address",
       "4. Done! Check your wallet in 30-60 seconds"
@@ -997,36 +3917,19 @@ app.post('/.well-known/payment-required', (req, res) => {
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
-  console.log(`
-    
-╔══════════════════════════════════════════════════════════════════════════════╗
-║           x402rocks - AUTOMATIC USDC DETECTION + PAYAI                       ║
-╚══════════════════════════════════════════════════════════════════════════════╝
-
-✅ Server running on port ${PORT}
-✅ Payment method: USDC AUTOMATIC
-✅ PayAI facilitator: ENABLED
-✅ No manual transaction submission needed!
-
-Configuration:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  USDC payment address: ${USDC_PAYMENT_ADDRESS || '⚠️  Not configured'}
-  USDC token address: ${BASE_CONFIG.usdcAddress}
-  Contract: ${CONTRACT_ADDRESS || '⚠️  NOT DEPLOYED'}
-  Monitoring: ${USDC_PAYMENT_ADDRESS && CONTRACT_ADDRESS ? '🟢 ACTIVE' : '🔴 INACTIVE'}
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-How it works:
-1. User sends 1 USDC to payment address
-2. System automatically detects payment
-3. Tokens automatically minted to sender
-4. Done! No manual steps!
-
-Dashboard: http://localhost:${PORT}
-PayAI Info: http://localhost:${PORT}/api/payai-info
-
-🚀 Automatic payment detection active!
-  `);
+  log.info('Server running', {
+    port: Number(PORT),
+    paymentAddress: USDC_PAYMENT_ADDRESS || null,
+    network: NETWORK.key,
+    chainId: NETWORK.chainId,
+    watching: WATCHED_NETWORKS.map((network) => network.key),
+    usdcAddress: NETWORK.usdcAddress,
+    assets: assets.symbols,
+    contract: CONTRACT_ADDRESS || null,
+    monitoring: Boolean(USDC_PAYMENT_ADDRESS && CONTRACT_ADDRESS),
+    price: priceLabel(),
+    dashboard: `http://localhost:${PORT}`
+  });
 });
 
 export default app;
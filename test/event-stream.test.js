@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { EventStream, EventStreamFullError } from '../lib/event-stream.js';
+
+function connection(ip) {
+  const req = Object.assign(new EventEmitter(), { ip });
+  const res = { set() {}, flushHeaders() {}, write() {} };
+  return { req, res };
+}
+
+function open(stream, ip) {
+  const { req, res } = connection(ip);
+  stream.open(req, res);
+  return req;
+}
+
+function full(status) {
+  return (error) => error instanceof EventStreamFullError && error.status === status;
+}
+
+test('caps streams per client IP with 429', () => {
+  const stream = new EventStream({ maxClients: 10, maxPerIp: 2 });
+  const first = open(stream, '10.0.0.1');
+  open(stream, '10.0.0.1');
+
+  assert.throws(() => open(stream, '10.0.0.1'), full(429));
+  open(stream, '10.0.0.2');
+
+  // A closed stream frees its slot
+  first.emit('close');
+  open(stream, '10.0.0.1');
+  assert.equal(stream.size, 3);
+});
+
+test('caps streams in all with 503', () => {
+  const stream = new EventStream({ maxClients: 2, maxPerIp: 0 });
+  open(stream, '10.0.0.1');
+  open(stream, '10.0.0.2');
+
+  assert.throws(() => open(stream, '10.0.0.3'), full(503));
+});
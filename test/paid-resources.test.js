@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PaidResources } from '../lib/paid-resources.js';
+
+const network = {
+  x402Network: 'base',
+  usdcAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  usdcName: 'USD Coin',
+  usdcVersion: '2'
+};
+
+function catalog(mintPrice) {
+  const resources = new PaidResources({
+    network,
+    payTo: '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0',
+    assets: { symbols: ['USDC'] },
+    mintPrice
+  });
+  return {
+    resources,
+    mint: resources.register({ id: 'mint', path: '/mint', description: 'Mint tokens' })
+  };
+}
+
+test('an N-unit requirement asks for N mints at the N-unit price', () => {
+  // Curve pricing: the more units, the higher the average price
+  const { resources, mint } = catalog((units = 1) => 1000000n + 50000n * BigInt(units - 1));
+
+  assert.equal(resources.accepts(mint, 'http://localhost')[0].maxAmountRequired, '1000000');
+  assert.equal(resources.accepts(mint, 'http://localhost', 3)[0].maxAmountRequired, '3300000');
+});
+
+test('a resource price never drops below the mint price', () => {
+  const { resources } = catalog(() => 1000000n);
+  const cheap = resources.register({ id: 'cheap', path: '/cheap', price: 10n, description: 'Cheap' });
+  const dear = resources.register({ id: 'dear', path: '/dear', price: 2500000n, description: 'Dear' });
+
+  assert.equal(resources.priceOf(cheap, 2), 2000000n);
+  assert.equal(resources.priceOf(dear, 2), 5000000n);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PaymentLedger, transferKey } from '../lib/payment-ledger.js';
+
+function ledgerFile(lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  const filePath = path.join(dir, 'payments.jsonl');
+  fs.writeFileSync(filePath, lines.map((line) => typeof line === 'string' ? line : JSON.stringify(line)).join('\n') + '\n');
+  return filePath;
+}
+
+test('replays payment patches in order', () => {
+  const { payments } = new PaymentLedger(ledgerFile([
+    { type: 'payment', paymentId: 'p1', data: { status: 'waiting_for_payment', userAddress: '0xabc' } },
+    { type: 'payment', paymentId: 'p1', data: { status: 'payment_received', txHash: '0x01' } },
+    { type: 'payment', paymentId: 'p1', data: { status: 'minting', unitsMinted: 0 } }
+  ])).load();
+
+  assert.deepEqual(payments.get('p1'), { status: 'minting', userAddress: '0xabc', txHash: '0x01', unitsMinted: 0 });
+});
+
+test('released tx hashes can be processed again', () => {
+  const { processedTxHashes } = new PaymentLedger(ledgerFile([
+    { type: 'tx', txHash: '0x01' },
+    { type: 'tx', txHash: '0x02' },
+    { type: 'tx_released', txHash: '0x02' }
+  ])).load();
+
+  assert.deepEqual([...processedTxHashes], ['0x01']);
+});
+
+test('keeps transfers in the same tx apart', () => {
+  const filePath = ledgerFile([
+    { type: 'tx', txHash: '0x01', logIndex: 0 },
+    { type: 'tx', txHash: '0x01', logIndex: 2 },
+    { type: 'tx_released', txHash: '0x01', logIndex: 0 },
+    { type: 'tx', txHash: '0x02' } // Whole tx, as older ledgers wrote it
+  ]);
+  const ledger = new PaymentLedger(filePath);
+  const state = ledger.load();
+  assert.deepEqual([...state.processedTxHashes], ['0x01:2', '0x02']);
+
+  ledger.open(state);
+  assert.deepEqual([...new PaymentLedger(filePath).load().processedTxHashes], ['0x01:2', '0x02']);
+  assert.equal(transferKey('0x03', 0), '0x03:0');
+  assert.equal(transferKey('0x03'), '0x03');
+});
+
+test('skips a torn line and keeps the rest', () => {
+  const { payments, cursors } = new PaymentLedger(ledgerFile([
+    { type: 'payment', paymentId: 'p1', data: { status: 'completed' } },
+    '{"type":"payment","paymentId":"p2","da',
+    { type: 'cursor', block: 42 },
+    { type: 'cursor', block: 7, network: 'base-sepolia' }
+  ])).load();
+
+  assert.deepEqual([...payments.keys()], ['p1']);
+  assert.equal(cursors.get('base'), 42); // Cursors from before multi-network ledgers
+  assert.equal(cursors.get('base-sepolia'), 7);
+});
+
+test('moves pruned records and their deliveries to the archive', () => {
+  const { payments, deliveries, archived } = new PaymentLedger(ledgerFile([
+    { type: 'payment', paymentId: 'p1', data: { status: 'completed' } },
+    { type: 'signal', paymentId: 'p1', data: { signal: 'BUY' } },
+    { type: 'pruned', paymentId: 'p1' },
+    { type: 'pruned', paymentId: 'unknown' }
+  ])).load();
+
+  assert.equal(payments.size, 0);
+  assert.equal(deliveries.size, 0);
+  assert.deepEqual(archived.get('p1'), { payment: { status: 'completed' }, deliveries: { signal: { signal: 'BUY' } } });
+});
+
+test('compacts to a snapshot that replays to the same state', () => {
+  const filePath = ledgerFile([
+    { type: 'payment', paymentId: 'p1', data: { status: 'confirming' } },
+    { type: 'payment', paymentId: 'p1', data: { status: 'minting' } },
+    { type: 'payment', paymentId: 'p2', data: { status: 'completed' } },
+    { type: 'delivery', paymentId: 'p2', resource: 'signal', data: { signal: 'HOLD' } },
+    { type: 'pruned', paymentId: 'p2' },
+    { type: 'tx', txHash: '0x01' },
+    { type: 'queue', paused: true }
+  ]);
+  const ledger = new PaymentLedger(filePath);
+  const state = ledger.load();
+  ledger.open(state);
+  ledger.recordPayment('p1', { status: 'completed' });
+
+  const replayed = new PaymentLedger(filePath).load();
+  assert.deepEqual(replayed.payments.get('p1'), { status: 'completed' });
+  assert.equal(replayed.payments.has('p2'), false);
+  assert.deepEqual([...replayed.processedTxHashes], ['0x01']);
+  assert.equal(replayed.mintQueuePaused, true);
+  assert.match(fs.readFileSync(ledger.archivePath, 'utf8'), /"paymentId":"p2"/);
+});
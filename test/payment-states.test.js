@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAYMENT_STATES, assertTransition, describeState, isTerminalState } from '../lib/payment-states.js';
+
+test('every next state is a known state', () => {
+  for (const [status, state] of Object.entries(PAYMENT_STATES)) {
+    for (const next of state.next) {
+      assert.ok(PAYMENT_STATES[next], `${status} → ${next}`);
+    }
+  }
+});
+
+test('allows the happy path and staying put', () => {
+  const path = ['waiting_for_payment', 'payment_received', 'confirming', 'minting', 'completed'];
+  for (let i = 1; i < path.length; i++) {
+    assert.doesNotThrow(() => assertTransition('p1', path[i - 1], path[i]));
+  }
+  assert.doesNotThrow(() => assertTransition('p1', 'minting', 'minting'));
+});
+
+test('refuses moves that could pay twice', () => {
+  // Minted payments are never refunded, refunded ones never minted
+  assert.throws(() => assertTransition('p1', 'completed', 'refund_pending'), /completed → refund_pending/);
+  assert.throws(() => assertTransition('p1', 'minting', 'refund_pending'));
+  assert.throws(() => assertTransition('p1', 'refunded', 'confirming'));
+  assert.throws(() => assertTransition('p1', 'refund_pending', 'minting'));
+});
+
+test('refuses unknown states', () => {
+  assert.throws(() => assertTransition('p1', 'nope', 'completed'));
+  assert.throws(() => assertTransition('p1', 'completed', 'nope'));
+});
+
+test('a failed refund can only be queued again', () => {
+  assert.deepEqual(PAYMENT_STATES.refund_failed.next, ['refund_pending']);
+  assert.doesNotThrow(() => assertTransition('p1', 'refunding', 'refund_pending'));
+});
+
+test('describes terminal and open states', () => {
+  assert.equal(isTerminalState('completed'), true);
+  assert.equal(isTerminalState('refund_pending'), false);
+  assert.deepEqual(describeState('nope'), { state: 'nope', description: undefined, terminal: false, next: [] });
+  assert.deepEqual(describeState('refunded').next, []);
+});
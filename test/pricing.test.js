@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PriceSchedule, PricingConfigError } from '../lib/pricing.js';
+
+const USDC = 1000000n;
+
+function schedule(config, { basePrice = USDC, minPrice = 1000n } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pricing-'));
+  const filePath = path.join(dir, 'pricing.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return new PriceSchedule({ basePrice, minPrice, filePath });
+}
+
+test('flat price without a file', () => {
+  const pricing = new PriceSchedule({ basePrice: USDC, minPrice: 1000n });
+  assert.equal(pricing.unitPrice(0), USDC);
+  assert.equal(pricing.unitPrice(123456, 5), USDC);
+});
+
+test('tiers price each mint by how many were sold before it', () => {
+  const pricing = schedule({ tiers: [{ upTo: 2, price: '1.00' }, { price: '2.00' }] });
+  assert.equal(pricing.unitPrice(0), USDC);
+  assert.equal(pricing.unitPrice(2), 2n * USDC);
+  // Mints 1-2 at 1.00 and mint 3 at 2.00: average 1.333334, rounded up
+  assert.equal(pricing.unitPrice(0, 3), 1333334n);
+  assert.ok(pricing.unitPrice(0, 3) * 3n >= 4n * USDC);
+});
+
+test('a curve grows by its increment and stops at max', () => {
+  const pricing = schedule({ curve: { start: '1.00', increment: '0.10', max: '1.20' } });
+  assert.equal(pricing.unitPrice(0), USDC);
+  assert.equal(pricing.unitPrice(1), 1100000n);
+  assert.equal(pricing.unitPrice(10), 1200000n);
+  assert.equal(pricing.unitPrice(0, 3), 1100000n);
+});
+
+test('discounts apply only while they run, and never below the minimum', () => {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  const end = Date.parse('2026-01-02T00:00:00Z');
+  const pricing = schedule({
+    discounts: [{ name: 'launch', start: '2026-01-01T00:00:00Z', end: '2026-01-02T00:00:00Z', percentOff: 25 }]
+  });
+  assert.equal(pricing.unitPrice(0, 1, start - 1), USDC);
+  assert.equal(pricing.unitPrice(0, 1, start), 750000n);
+  assert.equal(pricing.unitPrice(0, 1, end), USDC);
+
+  const floored = schedule({
+    discounts: [{ name: 'deep', start: '2026-01-01T00:00:00Z', end: '2026-01-02T00:00:00Z', percentOff: 99 }]
+  }, { minPrice: 100000n });
+  assert.equal(floored.unitPrice(0, 1, start), 100000n);
+});
+
+test('rejects bad schedules', () => {
+  assert.throws(() => schedule({ tiers: [{ upTo: 2, price: '1.00' }], curve: { start: '1.00', increment: '0' } }), PricingConfigError);
+  assert.throws(() => schedule({ tiers: [{ upTo: 5, price: '1.00' }, { upTo: 3, price: '2.00' }] }), /upTo/);
+  assert.throws(() => schedule({ curve: { start: '1.00', increment: '-0.10' } }), PricingConfigError);
+  assert.throws(
+    () => schedule({ discounts: [{ name: 'd', start: 'soon', end: '2026-01-02', percentOff: 10 }] }),
+    /Discount "d" start must be an ISO date/
+  );
+  assert.throws(() => schedule({ tiers: [{ price: '0.0001' }] }), /at least/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RefundEngine } from '../lib/refund-engine.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.parse('2026-06-01T12:00:00Z');
+
+const engine = new RefundEngine({ failedGraceMs: 10 * 60 * 1000, stuckPaymentMs: 24 * HOUR });
+
+test('refunds payments that can never mint', () => {
+  for (const status of ['underpaid', 'late_payment', 'ineligible']) {
+    assert.equal(engine.refundReason({ status }, now), status);
+  }
+});
+
+test('screening holds are refunded only when an operator says so', () => {
+  assert.equal(engine.refundReason({ status: 'held_for_review' }, now), null);
+  assert.equal(engine.refundReason({ status: 'held_for_review', reviewDecision: 'release' }, now), null);
+  assert.equal(engine.refundReason({ status: 'held_for_review', reviewDecision: 'refund' }, now), 'screening');
+});
+
+test('failed mints wait out the grace window, sold out ones do not', () => {
+  assert.equal(engine.refundReason({ status: 'mint_failed', failedAt: now - 60000 }, now), null);
+  assert.equal(engine.refundReason({ status: 'mint_failed', failedAt: now - 11 * 60000 }, now), 'failed');
+  assert.equal(engine.refundReason({ status: 'mint_failed', failedAt: now, error: 'execution reverted: Max mints reached' }, now), 'sold_out');
+});
+
+test('stuck payments are timed from their last status change', () => {
+  const old = now - 48 * HOUR;
+  assert.equal(engine.refundReason({ status: 'payment_received', paidAt: old }, now), 'expired');
+  // Sent back to confirming (admin retry, restart) a moment ago
+  assert.equal(engine.refundReason({ status: 'confirming', paidAt: old, statusChangedAt: now - 60000 }, now), null);
+  assert.equal(engine.refundReason({ status: 'confirming', paidAt: old, statusChangedAt: now - 25 * HOUR }, now), 'expired');
+});
+
+test('confirmed or queued payments are never refunded as stuck', () => {
+  const old = now - 48 * HOUR;
+  assert.equal(engine.refundReason({ status: 'confirming', paidAt: old, statusChangedAt: old, confirmedAt: old }, now), null);
+  assert.equal(engine.refundReason({ status: 'confirming', paidAt: old, statusChangedAt: old }, now, true), null);
+});
+
+test('unmatched payments wait for an admin first', () => {
+  assert.equal(engine.refundReason({ status: 'unmatched', paidAt: now - HOUR }, now), null);
+  assert.equal(engine.refundReason({ status: 'unmatched', paidAt: now - 25 * HOUR }, now), 'unmatched');
+});
+
+test('minting, completed and refunded payments are left alone', () => {
+  for (const status of ['minting', 'mint_retrying', 'completed', 'refunded', 'refund_pending', 'waiting_for_payment']) {
+    assert.equal(engine.refundReason({ status, paidAt: now - 48 * HOUR }, now), null);
+  }
+});
+
+test('refunds only what was not minted', () => {
+  const pricing = new RefundEngine({ pricePerUnit: 1000000n });
+  assert.equal(pricing.refundAmount({ amount: '3500000', unitPrice: '1000000', unitsMinted: 2 }), 1500000n);
+  assert.equal(pricing.refundAmount({ amount: '1000000', unitPrice: '1000000', unitsMinted: 1 }), 0n);
+  assert.equal(pricing.refundAmount({ unitsPurchased: 2 }), 2000000n);
+});
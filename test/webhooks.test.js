@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { assertPublicHost, assertWebhookUrl, isPrivateHost, postWebhook } from '../lib/webhooks.js';
+
+test('flags loopback, private and link-local IPv4', () => {
+  for (const host of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1', '224.0.0.1']) {
+    assert.equal(isPrivateHost(host), true, host);
+  }
+});
+
+test('lets public IPv4 through', () => {
+  for (const host of ['8.8.8.8', '172.32.0.1', '100.128.0.1', '192.169.0.1', 'example.com']) {
+    assert.equal(isPrivateHost(host), false, host);
+  }
+});
+
+test('flags local names and private IPv6, including IPv4-mapped forms', () => {
+  for (const host of ['localhost', 'api.localhost', 'metadata.google.internal', '::1', '[::1]', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '[::ffff:a9fe:a9fe]']) {
+    assert.equal(isPrivateHost(host), true, host);
+  }
+  assert.equal(isPrivateHost('2606:4700:4700::1111'), false);
+  assert.equal(isPrivateHost('::ffff:808:808'), false);
+});
+
+test('checks webhook URLs', () => {
+  assert.doesNotThrow(() => assertWebhookUrl('https://hooks.example.com/x', { allowPrivate: false }));
+  assert.throws(() => assertWebhookUrl('ftp://example.com'), /http or https/);
+  assert.throws(() => assertWebhookUrl('not a url'), /valid URL/);
+  assert.throws(() => assertWebhookUrl('http://[::ffff:7f00:1]/x', { allowPrivate: false }), /private or loopback/);
+  assert.doesNotThrow(() => assertWebhookUrl('http://localhost:3000/x'));
+});
+
+test('posts to the checked address, keeping the URL host', async () => {
+  const server = http.createServer((req, res) => {
+    res.statusCode = req.headers.host.startsWith('hooks.example.invalid:') ? 204 : 400;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    // The name doesn't resolve at all - only the pinned address can be reached
+    const status = await postWebhook(`http://hooks.example.invalid:${server.address().port}/x`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}',
+      address: { address: '127.0.0.1', family: 4 },
+      timeoutMs: 5000
+    });
+    assert.equal(status, 204);
+  } finally {
+    server.close();
+  }
+});
+
+test('refuses private IP literals and needs no pin for public ones', async () => {
+  await assert.rejects(assertPublicHost('http://127.0.0.1/x'), /private or loopback/);
+  assert.equal(await assertPublicHost('https://8.8.8.8/x'), null);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { X402ExactFacilitator, X402PaymentError, decodePaymentHeader } from '../lib/x402-exact.js';
+
+const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const PAY_TO = '0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0';
+const CHAIN_ID = 8453;
+
+const payer = ethers.Wallet.createRandom();
+
+function facilitator({ used = false, balance = 10n ** 12n } = {}) {
+  const usdc = {
+    getAddress: async () => USDC_ADDRESS,
+    authorizationState: async () => used,
+    balanceOf: async () => balance
+  };
+  return new X402ExactFacilitator({ usdc, transactions: null, chainId: CHAIN_ID, network: 'base' });
+}
+
+function requirements(maxAmountRequired = '1000000') {
+  return {
+    scheme: 'exact',
+    network: 'base',
+    maxAmountRequired,
+    payTo: PAY_TO,
+    asset: USDC_ADDRESS,
+    extra: { name: 'USD Coin', version: '2' }
+  };
+}
+
+async function payment({ value = '1000000', to = PAY_TO, signer = payer, chainId = CHAIN_ID, validBefore } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const authorization = {
+    from: payer.address,
+    to,
+    value,
+    validAfter: String(now - 60),
+    validBefore: String(validBefore ?? now + 600),
+    nonce: ethers.hexlify(ethers.randomBytes(32))
+  };
+  const signature = await signer.signTypedData(
+    { name: 'USD Coin', version: '2', chainId, verifyingContract: USDC_ADDRESS },
+    {
+      TransferWithAuthorization: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'validAfter', type: 'uint256' },
+        { name: 'validBefore', type: 'uint256' },
+        { name: 'nonce', type: 'bytes32' }
+      ]
+    },
+    authorization
+  );
+  return { x402Version: 1, scheme: 'exact', network: 'base', payload: { signature, authorization } };
+}
+
+async function rejects(promise, reason) {
+  await assert.rejects(promise, (error) => error instanceof X402PaymentError && error.reason === reason);
+}
+
+test('accepts a valid authorization for the required amount', async () => {
+  const result = await facilitator().verify(await payment(), requirements());
+  assert.equal(result.payer, payer.address);
+  assert.equal(result.value, 1000000n);
+});
+
+test('rejects an authorization for less than the price', async () => {
+  await rejects(facilitator().verify(await payment({ value: '999999' }), requirements()), 'invalid_exact_evm_payload_authorization_value');
+  // Three units cost three times the price
+  await rejects(facilitator().verify(await payment(), requirements('3000000')), 'invalid_exact_evm_payload_authorization_value');
+});
+
+test('rejects payments to someone else', async () => {
+  await rejects(
+    facilitator().verify(await payment({ to: ethers.Wallet.createRandom().address }), requirements()),
+    'invalid_exact_evm_payload_recipient_mismatch'
+  );
+});
+
+test('rejects a signature from anyone but the payer, or for another chain', async () => {
+  await rejects(facilitator().verify(await payment({ signer: ethers.Wallet.createRandom() }), requirements()), 'invalid_exact_evm_payload_signature');
+  await rejects(facilitator().verify(await payment({ chainId: 1 }), requirements()), 'invalid_exact_evm_payload_signature');
+});
+
+test('rejects used, expiring or unfunded authorizations', async () => {
+  await rejects(facilitator({ used: true }).verify(await payment(), requirements()), 'invalid_exact_evm_payload_authorization_nonce');
+  await rejects(facilitator({ balance: 1n }).verify(await payment(), requirements()), 'insufficient_funds');
+  await rejects(
+    facilitator().verify(await payment({ validBefore: Math.floor(Date.now() / 1000) + 2 }), requirements()),
+    'invalid_exact_evm_payload_authorization_valid_before'
+  );
+});
+
+test('rejects the wrong version, scheme, network or asset', async () => {
+  const valid = await payment();
+  await rejects(facilitator().verify({ ...valid, x402Version: 2 }, requirements()), 'invalid_x402_version');
+  await rejects(facilitator().verify({ ...valid, scheme: 'transfer' }, requirements()), 'invalid_scheme');
+  await rejects(facilitator().verify({ ...valid, network: 'base-sepolia' }, requirements()), 'invalid_network');
+  await rejects(
+    facilitator().verify(valid, { ...requirements(), asset: ethers.Wallet.createRandom().address }),
+    'invalid_payload'
+  );
+});
+
+test('decodes X-PAYMENT headers and rejects garbage', () => {
+  const header = Buffer.from(JSON.stringify({ x402Version: 1 })).toString('base64');
+  assert.deepEqual(decodePaymentHeader(header), { x402Version: 1 });
+  assert.throws(() => decodePaymentHeader('not base64 json'), (error) => error.reason === 'invalid_payload');
+});